@@ -1,527 +1,833 @@
+import { createProvider, ProviderError } from './providers.js';
+import { parsePartialJSON } from './partial-json.js';
+import { SCHEMAS, SchemaError, repair, validate, LESSON_SUGGESTION_TYPES, TALK_SUGGESTION_TYPES } from './schemas.js';
+import { PromptTemplates } from './prompts.js';
+import { sanitizeVars, withUntrustedNote, inlineText } from './sanitize.js';
+import { UsageLedger } from './usage.js';
+import { KeyVault } from './key-vault.js';
+import { fetchArticle } from './article.js';
+import { parseReference, formatReference } from './scripture-refs.js';
+import { ResponseCache, DAY_MS, normalizeReferenceKey, normalizeUrlKey } from './response-cache.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const STREAM_TIMEOUT_MS = 60000;
+// Live suggestions go stale quickly, so fail fast rather than retrying long
+const LIVE_OPTIONS = { timeoutMs: 15000, retries: 1 };
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 10000;
+const SCRIPTURE_CACHE_TTL_MS = 180 * DAY_MS;
+const URL_CACHE_TTL_MS = 7 * DAY_MS;
+// Imported pages longer than this are condensed by the model; it matches
+// how much notes text planning prompts carry (see sanitize.js)
+const MAX_ARTICLE_CHARS = 8000;
+
 /**
- * Gemini API integration for lesson/talk preparation, live suggestions, and summaries.
+ * Task classes requests are routed by; each can use its own model.
  */
-export class AI {
-  constructor() {
-    this.model = 'gemini-2.0-flash';
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
-  }
+export const MODEL_TASKS = {
+  live: 'Live suggestions',
+  planning: 'Planning',
+  summary: 'Summaries',
+  transcription: 'Audio transcription'
+};
 
-  getApiKey() {
-    return localStorage.getItem('gemini_api_key') || '';
-  }
+/**
+ * Session languages: name is what prompts ask the model to answer in, and
+ * speech is the BCP 47 tag for speech recognition.
+ */
+export const LANGUAGES = {
+  en: { label: 'English', name: 'English', speech: 'en-US' },
+  es: { label: 'Español (Spanish)', name: 'Spanish', speech: 'es-US' },
+  to: { label: 'Lea faka-Tonga (Tongan)', name: 'Tongan', speech: 'to-TO' },
+  sm: { label: 'Gagana Samoa (Samoan)', name: 'Samoan', speech: 'sm-WS' },
+  pt: { label: 'Português (Portuguese)', name: 'Portuguese', speech: 'pt-BR' },
+  fr: { label: 'Français (French)', name: 'French', speech: 'fr-FR' },
+  tl: { label: 'Tagalog', name: 'Tagalog', speech: 'fil-PH' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
 
-  hasApiKey() {
-    return this.getApiKey().length > 0;
+/**
+ * Block-type mixes offered when drafting an outline, per mode. text is
+ * placed in the prompt after "using".
+ */
+export const OUTLINE_MIXES = {
+  lesson: {
+    balanced: { label: 'Balanced', text: 'a balanced mix of points, scriptures and questions' },
+    discussion: { label: 'Discussion', text: 'mostly discussion questions, each set up by a short point or scripture' },
+    scripture: { label: 'Scripture study', text: 'mostly scriptures, each followed by a point or question about it' },
+    teaching: { label: 'Teaching points', text: 'mostly key points and quotes, with only a few questions' }
+  },
+  talk: {
+    balanced: { label: 'Balanced', text: 'a balanced mix of points, scriptures and personal experiences (as notes)' },
+    scripture: { label: 'Scripture-centered', text: 'mostly scriptures, each followed by a point that applies it' },
+    stories: { label: 'Stories', text: 'mostly personal experiences and stories (as notes), each tied to a point or scripture' },
+    quotes: { label: 'Prophetic quotes', text: 'mostly key points supported by quotes from prophets and apostles' }
   }
+};
 
-  async call(prompt, options = {}) {
-    const key = this.getApiKey();
-    if (!key) throw new Error('No API key configured');
-
-    const url = `${this.baseUrl}/${this.model}:generateContent?key=${key}`;
-    const body = {
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: options.temperature ?? 0.7,
-        maxOutputTokens: options.maxTokens ?? 1024
-      }
-    };
-
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      const err = await res.json().catch(() => ({}));
-      throw new Error(err.error?.message || `API error: ${res.status}`);
-    }
-
-    const data = await res.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+/**
+ * AI actions on a single outline block. fields are the response fields
+ * copied onto the block; adds inserts new blocks of a type after it.
+ * types and modes limit where an action is offered.
+ */
+export const BLOCK_ACTIONS = {
+  expand: {
+    label: 'Expand into notes',
+    done: 'Notes written',
+    fields: ['notes'],
+    instruction: 'Write speaker notes for this block in "notes": 3-5 sentences the speaker could say, in a natural first-person voice. Build on any notes already there.'
+  },
+  shorten: {
+    label: 'Rephrase shorter',
+    done: 'Block shortened',
+    fields: ['content'],
+    instruction: 'Rephrase the block\'s content more briefly in "content", in at most 12 words, keeping its meaning.'
+  },
+  questions: {
+    label: 'Add 2 follow-up questions',
+    done: 'Questions added',
+    adds: { type: 'question', count: 2 },
+    modes: ['lesson'],
+    instruction: 'Write two open-ended follow-up discussion questions that build on this block, as two question blocks in "newBlocks". Do not repeat questions already in the outline.'
+  },
+  scripture: {
+    label: 'Find a supporting scripture',
+    done: 'Scripture added',
+    adds: { type: 'scripture', count: 1 },
+    types: ['point', 'question', 'quote', 'note'],
+    instruction: 'Find one scripture that supports this block and is not already in the outline. Return it in "newBlocks" as one scripture block with the reference as content and a short key phrase as detail. Only use references you are sure exist.'
+  },
+  story: {
+    label: 'Turn into a story prompt',
+    done: 'Story prompt made',
+    fields: ['content', 'detail'],
+    types: ['point'],
+    instruction: 'Turn this point into a story prompt in "content": an invitation to tell or share an experience that illustrates it, such as "Share a time when...". Put a one-sentence hint for choosing the story in "detail".'
   }
+};
 
-  _parseJSON(text) {
-    const cleaned = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    return JSON.parse(cleaned);
-  }
+// Suggestion types as a prompt's "type" value: "a" | "b"
+function typeChoices(types) {
+  return types.map(type => `"${type}"`).join(' | ');
+}
 
-  /**
-   * Fetch and parse content from a URL (conference talk, etc.)
-   */
-  async fetchUrlContent(url) {
-    const prompt = `Fetch and summarize the content from this URL for lesson/talk preparation.
+function mixText(mode, mix) {
+  return (OUTLINE_MIXES[mode][mix] || OUTLINE_MIXES[mode].balanced).text;
+}
 
-URL: ${url}
+// Blocks as the model sees them; stored verse text and highlights stay out of prompts
+function outlineBlocks(blocks) {
+  return blocks.map(({ type, content, detail, notes }) => ({ type, content, detail, notes }));
+}
 
-If this is a church talk or lesson material, extract:
-1. The title
-2. The speaker/author (if applicable)
-3. The main content/text
+const METHOD_TASKS = {
+  summarizeArticle: 'summary',
+  chatPlanLesson: 'planning',
+  chatPlanTalk: 'planning',
+  generateLessonBlocks: 'planning',
+  generateTalkBlocks: 'planning',
+  generateBlockAction: 'planning',
+  generateLiveSuggestion: 'live',
+  generateImmediateHelp: 'live',
+  generateTalkDeliverySuggestion: 'live',
+  lookupScripture: 'live',
+  summarizeDiscussion: 'summary',
+  generateLessonSummary: 'summary',
+  generateTalkSummary: 'summary',
+  transcribeAndSuggest: 'transcription'
+};
+
+function abortError() {
+  return new DOMException('Request cancelled', 'AbortError');
+}
 
-Format as JSON:
-{
-  "title": "Talk or lesson title",
-  "author": "Speaker name or empty string",
-  "content": "The main text content, summarized if very long (keep under 2000 chars)",
-  "success": true
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
 }
 
-If you cannot access or parse the URL, return:
-{
-  "title": "",
-  "author": "",
-  "content": "",
-  "success": false,
-  "error": "Reason for failure"
+/**
+ * True for errors caused by cancelling a request (navigation, stopping live mode).
+ */
+export function isAbortError(e) {
+  return e?.name === 'AbortError';
 }
 
-Return ONLY valid JSON.`;
+/**
+ * AI integration for lesson/talk preparation, live suggestions, and summaries.
+ * Requests go through a pluggable provider (Gemini, OpenAI-compatible, local).
+ * Every public method takes a trailing options object: { signal, onProgress }.
+ */
+export class AI {
+  constructor() {
+    this.vault = new KeyVault();
+    this.provider = createProvider(this.getProviderId(), this.getProviderConfig());
+    this.prompts = new PromptTemplates();
+    this.usage = new UsageLedger();
+    this.cache = new ResponseCache();
+    this.language = DEFAULT_LANGUAGE; // session language; results come back in it
+  }
 
-    const text = await this.call(prompt, { maxTokens: 2500 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return { success: false, error: 'Failed to parse response' };
-    }
+  get languageName() {
+    return (LANGUAGES[this.language] || LANGUAGES[DEFAULT_LANGUAGE]).name;
   }
 
   /**
-   * Chat-based collaborative planning for lessons.
+   * A provider's API key. The Gemini key keeps its original storage slot;
+   * with encryption on, keys only exist in the vault while it is unlocked.
    */
-  async chatPlanLesson(message, currentBlocks, context) {
-    const blocksJson = JSON.stringify(currentBlocks, null, 2);
+  getApiKey(id = 'gemini') {
+    if (this.vault.isEnabled()) return this.vault.get(id);
+    if (id === 'gemini') return localStorage.getItem('gemini_api_key') || '';
+    return this._loadProviderConfigs()[id]?.apiKey || '';
+  }
 
-    const prompt = `You are a collaborative lesson planning assistant for LDS Elders Quorum lessons.
+  getProviderId() {
+    return localStorage.getItem('lc_ai_provider') || 'gemini';
+  }
 
-Current lesson context:
-- Title: "${context.title || 'Untitled'}"
-- Content/Notes: "${context.content || 'None yet'}"
+  _loadProviderConfigs() {
+    try {
+      return JSON.parse(localStorage.getItem('lc_ai_provider_config')) || {};
+    } catch {
+      return {};
+    }
+  }
 
-Current outline blocks:
-${currentBlocks.length > 0 ? blocksJson : 'No blocks yet.'}
+  _saveProviderConfigs(all) {
+    localStorage.setItem('lc_ai_provider_config', JSON.stringify(all));
+  }
 
-User's message: "${message}"
+  _reloadProvider() {
+    this.provider = createProvider(this.getProviderId(), this.getProviderConfig());
+  }
 
-Respond conversationally AND update the blocks if needed. Your response format:
-{
-  "reply": "Your conversational response to the user (1-3 sentences)",
-  "blocks": [
-    { "type": "point", "content": "...", "detail": "..." },
-    { "type": "scripture", "content": "Reference", "detail": "Context" },
-    { "type": "question", "content": "...", "detail": "" }
-  ],
-  "blocksChanged": true or false
-}
+  /**
+   * Stored settings for a provider: { apiKey, baseUrl, model, models }.
+   */
+  getProviderConfig(id = this.getProviderId()) {
+    const config = this._loadProviderConfigs()[id] || {};
+    return { ...config, apiKey: this.getApiKey(id) };
+  }
 
-Block types: point, scripture, question, quote, note
+  /**
+   * Save a provider's settings and make it current. With encryption on, the
+   * key goes into the vault, which must be unlocked.
+   */
+  async setProvider(id, config = {}) {
+    const { apiKey = '', ...rest } = config;
+    if (this.vault.isEnabled()) {
+      await this.vault.set(id, apiKey);
+    } else if (id === 'gemini') {
+      localStorage.setItem('gemini_api_key', apiKey);
+    } else {
+      rest.apiKey = apiKey;
+    }
+    const all = this._loadProviderConfigs();
+    all[id] = rest;
+    this._saveProviderConfigs(all);
+    localStorage.setItem('lc_ai_provider', id);
+    this._reloadProvider();
+  }
 
-Guidelines:
-- If user asks to add/remove/change blocks, do it and set blocksChanged: true
-- If user just asks a question or chats, reply helpfully and return existing blocks with blocksChanged: false
-- Keep blocks concise (1-2 sentences each)
-- Be helpful and collaborative, not formal
+  keysEncrypted() {
+    return this.vault.isEnabled();
+  }
 
-Return ONLY valid JSON.`;
+  /**
+   * True while encrypted keys are waiting for the passphrase.
+   */
+  isLocked() {
+    return this.vault.isLocked();
+  }
 
-    const text = await this.call(prompt, { maxTokens: 1500 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return {
-        reply: "I had trouble processing that. Could you try rephrasing?",
-        blocks: currentBlocks,
-        blocksChanged: false
-      };
+  /**
+   * Encrypt every stored provider key under a passphrase and remove the plain copies.
+   */
+  async encryptKeys(passphrase) {
+    const all = this._loadProviderConfigs();
+    const keys = {};
+    const geminiKey = localStorage.getItem('gemini_api_key');
+    if (geminiKey) keys.gemini = geminiKey;
+    for (const [id, config] of Object.entries(all)) {
+      if (config.apiKey) keys[id] = config.apiKey;
+      delete config.apiKey;
     }
+
+    await this.vault.enable(passphrase, keys);
+    localStorage.removeItem('gemini_api_key');
+    this._saveProviderConfigs(all);
   }
 
   /**
-   * Chat-based collaborative planning for talks.
+   * Turn encryption off, storing the unlocked keys in plain text again.
    */
-  async chatPlanTalk(message, currentBlocks, context) {
-    const blocksJson = JSON.stringify(currentBlocks, null, 2);
-
-    const prompt = `You are a collaborative talk planning assistant for LDS church talks.
+  decryptKeys() {
+    const keys = this.vault.disable();
+    const all = this._loadProviderConfigs();
+    for (const [id, apiKey] of Object.entries(keys)) {
+      if (id === 'gemini') {
+        localStorage.setItem('gemini_api_key', apiKey);
+      } else {
+        all[id] = { ...all[id], apiKey };
+      }
+    }
+    this._saveProviderConfigs(all);
+  }
 
-Current talk context:
-- Topic: "${context.topic || 'Untitled'}"
-- Scriptures: "${context.scriptures || 'None specified'}"
-- Duration: ${context.duration || 10} minutes
-- Notes: "${context.content || 'None yet'}"
+  async unlockKeys(passphrase) {
+    await this.vault.unlock(passphrase);
+    this._reloadProvider();
+  }
 
-Current outline blocks:
-${currentBlocks.length > 0 ? blocksJson : 'No blocks yet.'}
+  lockKeys() {
+    this.vault.lock();
+    this._reloadProvider();
+  }
 
-User's message: "${message}"
+  /**
+   * Delete the encrypted keys (forgotten passphrase); they must be entered again.
+   */
+  forgetKeys() {
+    this.vault.forget();
+    this._reloadProvider();
+  }
 
-Respond conversationally AND update the blocks if needed. Your response format:
-{
-  "reply": "Your conversational response (1-3 sentences)",
-  "blocks": [
-    { "type": "point", "content": "...", "detail": "..." },
-    { "type": "scripture", "content": "Reference", "detail": "Context" }
-  ],
-  "blocksChanged": true or false
-}
+  /**
+   * Model each task class uses for a provider when nothing is overridden.
+   */
+  defaultModels(id, config = {}) {
+    const provider = createProvider(id, { ...config, models: {} });
+    return Object.fromEntries(Object.keys(MODEL_TASKS).map(task => [task, provider.modelFor(task)]));
+  }
 
-Block types: point, scripture, question, quote, note
+  /**
+   * Model for a request: options.model, else the one routed to the task class
+   * of options.method.
+   */
+  modelFor(options = {}) {
+    return options.model || this.provider.modelFor(METHOD_TASKS[options.method] || 'planning');
+  }
 
-Guidelines:
-- If user asks to add/remove/change blocks, do it and set blocksChanged: true
-- Keep the talk appropriately sized for ${context.duration || 10} minutes
-- Be helpful and encouraging
-- Keep blocks concise
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
 
-Return ONLY valid JSON.`;
+  get supportsAudio() {
+    return this.provider.supportsAudio;
+  }
 
-    const text = await this.call(prompt, { maxTokens: 1500 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return {
-        reply: "I had trouble processing that. Could you try rephrasing?",
-        blocks: currentBlocks,
-        blocksChanged: false
-      };
+  /**
+   * Run a provider request with a per-attempt timeout, cancellation through
+   * options.signal, and exponential backoff with jitter for retryable errors.
+   */
+  async _send(run, options = {}) {
+    const { signal, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw abortError();
+
+      const controller = new AbortController();
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort);
+
+      try {
+        return await run(controller.signal);
+      } catch (e) {
+        if (signal?.aborted) throw abortError();
+        const error = timedOut ? new ProviderError('The AI took too long to respond', 408) : e;
+        if (!error.retryable || attempt >= retries) throw error;
+
+        const backoff = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+        const delay = Math.max(backoff / 2 + Math.random() * backoff / 2, error.retryAfterMs || 0);
+        await sleep(Math.min(delay, BACKOFF_MAX_MS), signal);
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
     }
   }
 
   /**
-   * Generate initial blocks for lesson (used when user wants quick generation).
+   * Build the provider message list: earlier turns from options.history,
+   * then `input` (a prompt string or a list of parts) as the new user turn.
    */
-  async generateLessonBlocks(title, content) {
-    const prompt = `You are a teaching assistant helping prepare an Elders Quorum discussion lesson.
-
-Title: "${title}"
-Content/Notes: "${content}"
-
-Generate a lesson outline as blocks. Include a MIX of:
-- point: Key ideas to discuss
-- scripture: Relevant scripture references
-- question: Discussion questions
-- quote: Conference talk quotes (optional)
-
-Format as JSON:
-{
-  "blocks": [
-    { "type": "point", "content": "Main idea", "detail": "Supporting detail" },
-    { "type": "scripture", "content": "Alma 32:21", "detail": "Faith is not a perfect knowledge" },
-    { "type": "question", "content": "Discussion question?", "detail": "" }
-  ]
-}
+  _messages(input, options) {
+    const parts = typeof input === 'string' ? [{ text: input }] : input;
+    const history = options.history || [];
+    const last = history[history.length - 1];
+    if (last?.role === 'user') {
+      return [...history.slice(0, -1), { role: 'user', parts: [...last.parts, ...parts] }];
+    }
+    return [...history, { role: 'user', parts }];
+  }
 
-Generate 5-8 blocks. Keep each concise. Return ONLY valid JSON.`;
+  /**
+   * Run one provider attempt and add it to the usage ledger under
+   * options.method. Attempts cancelled by the caller are not recorded.
+   */
+  async _tracked(options, run) {
+    const started = Date.now();
+    let usage = { promptTokens: 0, responseTokens: 0 };
+    const record = (ok) => this.usage.record({
+      method: options.method || 'call',
+      provider: this.provider.id,
+      model: options.model || this.provider.model,
+      ...usage,
+      latencyMs: Date.now() - started,
+      ok
+    });
 
-    const text = await this.call(prompt);
     try {
-      return this._parseJSON(text);
-    } catch {
-      throw new Error('Failed to parse AI response. Please try again.');
+      const result = await run((u) => { usage = u; });
+      record(true);
+      return result;
+    } catch (e) {
+      if (!options.signal?.aborted) record(false);
+      throw e;
     }
   }
 
   /**
-   * Generate initial blocks for talk.
+   * Send a request. Options: temperature, maxTokens, signal, timeoutMs,
+   * retries, history (earlier { role, parts } turns), method (the name
+   * recorded in the usage ledger, which also picks the model) and model.
    */
-  async generateTalkBlocks(topic, scriptures, existingContent, durationMinutes) {
-    const prompt = `You are a speaking coach helping prepare a ${durationMinutes}-minute talk.
-
-Topic: "${topic}"
-Scriptures: "${scriptures || 'None specified'}"
-Notes: "${existingContent || 'None'}"
-
-Generate a talk outline as blocks for ${durationMinutes} minutes (~${Math.ceil(durationMinutes / 2)} blocks).
-
-Format as JSON:
-{
-  "blocks": [
-    { "type": "point", "content": "Opening/intro", "detail": "Hook or story" },
-    { "type": "scripture", "content": "Reference", "detail": "Key verse" },
-    { "type": "point", "content": "Main point", "detail": "Explanation" },
-    { "type": "note", "content": "Bear testimony", "detail": "" }
-  ],
-  "estimatedMinutes": ${durationMinutes}
-}
-
-Keep blocks concise. Return ONLY valid JSON.`;
+  async call(input, options = {}) {
+    options = { ...options, model: this.modelFor(options) };
+    const messages = this._messages(input, options);
+    return this._send(
+      (signal) => this._tracked(options, (onUsage) =>
+        this.provider.generate(messages, { ...options, signal, onUsage })),
+      options
+    );
+  }
 
-    const text = await this.call(prompt, { maxTokens: 1500 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      throw new Error('Failed to parse AI response. Please try again.');
-    }
+  /**
+   * Streaming variant of call(). onText receives the accumulated text after
+   * every chunk; the full text is returned once the stream completes.
+   */
+  async callStream(input, options = {}, onText) {
+    options = { ...options, model: this.modelFor(options) };
+    const messages = this._messages(input, options);
+    return this._send((signal) => this._tracked(options, async (onUsage) => {
+      let text = '';
+      for await (const chunk of this.provider.stream(messages, { ...options, signal, onUsage })) {
+        text += chunk;
+        onText?.(text);
+      }
+      return text;
+    }), { timeoutMs: STREAM_TIMEOUT_MS, ...options });
   }
 
   /**
-   * Generate a live suggestion for lesson mode.
+   * Call the model, streaming when options.onProgress is given. onProgress
+   * receives the partially parsed JSON response as it grows.
    */
-  async generateLiveSuggestion(transcript, currentEntry, currentBlock, hasNoPlan = false) {
-    const contextInfo = hasNoPlan
-      ? 'Free-form gospel discussion.'
-      : `Lesson: "${currentEntry?.title || 'Gospel Discussion'}"\nCurrent topic: ${currentBlock || 'Open discussion'}`;
+  async _callJSON(input, options) {
+    const { onProgress, ...callOptions } = options;
+    if (!onProgress) return this.call(input, callOptions);
+    return this.callStream(input, callOptions, (text) => {
+      const partial = parsePartialJSON(text);
+      if (partial) onProgress(partial);
+    });
+  }
 
-    const prompt = `You are a real-time teaching assistant for an LDS Elders Quorum lesson.
+  /**
+   * Request a structured response. The schema is sent to the provider and
+   * the result is repaired and validated on the client; an invalid response
+   * is retried once with the problems listed, then surfaces as a SchemaError.
+   */
+  async _requestJSON(input, schemaName, options = {}) {
+    const schema = SCHEMAS[schemaName];
+    const { onProgress, ...callOptions } = options;
+    const opts = { ...callOptions, schema, schemaName };
+
+    const check = (text) => {
+      let value;
+      try {
+        value = repair(this._parseJSON(text), schema);
+      } catch {
+        return { errors: ['response was not valid JSON'] };
+      }
+      return { value, errors: validate(value, schema) };
+    };
 
-${contextInfo}
+    let result = check(await this._callJSON(input, { ...opts, onProgress }));
+    if (result.errors.length === 0) return result.value;
 
-Recent discussion (last 15 seconds):
-"${transcript}"
+    const retryNote = `Your previous response was invalid: ${result.errors.slice(0, 3).join('; ')}. Respond again with ONLY JSON in the exact format requested.`;
+    const retryInput = typeof input === 'string'
+      ? `${input}\n\n${retryNote}`
+      : [...input, { text: retryNote }];
 
-Provide ONE helpful suggestion:
-1. **scripture** - Identify a referenced story/scripture
-2. **doctrine** - Answer a hard question + pivot back
-3. **question** - Follow-up question
-4. **redirect** - Gentle refocus
+    result = check(await this.call(retryInput, opts));
+    if (result.errors.length === 0) return result.value;
 
-Format as JSON:
-{
-  "type": "scripture" | "doctrine" | "question" | "redirect",
-  "suggestion": "Main point (1 line)",
-  "bullets": ["bullet 1", "bullet 2"],
-  "reference": "Source if applicable"
-}
+    throw new SchemaError(result.errors);
+  }
 
-Max 2 bullets. Return ONLY valid JSON.`;
+  /**
+   * Serve a fresh cached result, or run the request and cache what it returns
+   * when shouldCache(value) agrees. If the request fails for any reason but
+   * cancellation, an expired entry beats nothing (e.g. offline mid-lesson).
+   * Offline demo answers are placeholders, so they are never cached.
+   */
+  async _cached(method, key, ttlMs, run, shouldCache = () => true) {
+    const fresh = this.cache.get(method, key);
+    if (fresh !== undefined) return fresh;
 
-    const text = await this.call(prompt, { maxTokens: 300, temperature: 0.6 });
     try {
-      return this._parseJSON(text);
-    } catch {
-      return { type: 'question', suggestion: 'What has stood out to you?', bullets: [], reference: '' };
+      const value = await run();
+      if (this.provider.id !== 'mock' && shouldCache(value)) {
+        this.cache.set(method, key, value, ttlMs);
+      }
+      return value;
+    } catch (e) {
+      const stale = isAbortError(e) ? undefined : this.cache.get(method, key, { allowStale: true });
+      if (stale !== undefined) return stale;
+      throw e;
     }
   }
 
   /**
-   * Generate immediate help.
+   * Render a prompt template with untrusted variables fenced, flattened and
+   * capped (see sanitize.js). Callers keep passing the raw vars to providers.
    */
-  async generateImmediateHelp(transcript, currentEntry, currentBlock, hasNoPlan = false) {
-    const contextInfo = hasNoPlan
-      ? 'Free-form gospel discussion.'
-      : `Lesson: "${currentEntry?.title || 'Discussion'}"\nTopic: ${currentBlock || 'Open'}`;
-
-    const prompt = `Help a Sunday School teacher who pressed "I need help".
+  _render(key, vars, mode) {
+    const name = this.languageName;
+    const prompt = withUntrustedNote(this.prompts.render(key, sanitizeVars({ language: name, ...vars }), mode));
+    if (this.language === DEFAULT_LANGUAGE) return prompt;
 
-${contextInfo}
+    return `${prompt}
 
-Recent discussion:
-"${transcript}"
+Answer in ${name}. Write every text value in ${name}, except scripture references: keep those in English with English book names (e.g. "Alma 32:21", "D&C 121:7") so the app can recognize them; it shows them in ${name} itself. Keep JSON keys and fixed values such as "type" exactly as shown above.`;
+  }
 
-Provide immediate, actionable help:
-{
-  "type": "help",
-  "suggestion": "What to do right now",
-  "bullets": ["action 1", "action 2"],
-  "reference": "Scripture if applicable"
-}
+  _parseJSON(text) {
+    const cleaned = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+    return JSON.parse(cleaned);
+  }
 
-Return ONLY valid JSON.`;
+  getFetchProxy() {
+    return localStorage.getItem('lc_fetch_proxy') || '';
+  }
 
-    const text = await this.call(prompt, { maxTokens: 250, temperature: 0.7 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return { type: 'help', suggestion: 'Ask: "What questions do you have?"', bullets: [], reference: '' };
-    }
+  setFetchProxy(proxy) {
+    localStorage.setItem('lc_fetch_proxy', proxy.trim());
   }
 
   /**
-   * Generate a delivery suggestion during a talk.
+   * Fetch a page (conference talk, etc.) and extract its article:
+   * { success, title, author, headings, references, content, condensed } or
+   * { success: false, error }. The page is fetched for real, directly or
+   * through the fetch proxy; the model is only asked to condense text that
+   * is too long to use as notes. options.mode picks the template set.
+   * Successful results are cached for a week.
    */
-  async generateTalkDeliverySuggestion(transcript, talkContent, currentSection) {
-    const prompt = `Speaking coach for a church talk.
-
-Current section: "${currentSection}"
-Talk: "${talkContent.substring(0, 600)}"
-
-Recent transcript:
-"${transcript}"
+  async fetchUrlContent(url, options = {}) {
+    const { mode, ...rest } = options;
+    return this._cached('fetchUrlContent', normalizeUrlKey(url), URL_CACHE_TTL_MS, async () => {
+      let article;
+      try {
+        article = await fetchArticle(url, { proxy: this.getFetchProxy(), signal: rest.signal });
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        return { success: false, title: '', author: '', content: '', error: e.message };
+      }
 
-Give ONE delivery tip:
-{
-  "type": "pacing" | "transition" | "emphasis" | "encouragement",
-  "suggestion": "Main advice",
-  "bullets": ["tip"]
-}
+      const { paragraphs, ...result } = article;
+      if (result.content.length <= MAX_ARTICLE_CHARS || !this.isConfigured()) {
+        return { ...result, success: true, condensed: false };
+      }
 
-Return ONLY valid JSON.`;
+      const vars = { title: result.title, author: result.author, article: result.content };
+      const prompt = this._render('articleSummary', vars, mode);
+      const summary = await this._requestJSON(prompt, 'articleSummary', { method: 'summarizeArticle', vars, maxTokens: 2500, ...rest });
+      return { ...result, content: summary.content, success: true, condensed: true };
+    }, (result) => result.success);
+  }
 
-    const text = await this.call(prompt, { maxTokens: 200, temperature: 0.6 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return { type: 'encouragement', suggestion: 'You\'re doing great.', bullets: [] };
+  /**
+   * Turn earlier planning chat messages ({ role, text, blocks }) into
+   * conversation turns. Assistant turns are replayed in the JSON shape the
+   * model produced, so it can see outlines it proposed before.
+   */
+  _chatHistory(history = []) {
+    const turns = [];
+    for (const m of history) {
+      let text = m.text;
+      if (m.role !== 'user') {
+        text = JSON.stringify(m.blocks
+          ? { reply: m.text, blocks: m.blocks, blocksChanged: true }
+          : { reply: m.text, blocksChanged: false });
+      }
+      const role = m.role === 'user' ? 'user' : 'assistant';
+      // Roles must alternate, so back-to-back messages share a turn
+      const last = turns[turns.length - 1];
+      if (last?.role === role) {
+        last.parts.push({ text });
+      } else {
+        turns.push({ role, parts: [{ text }] });
+      }
     }
+    // Conversations must open with a user turn
+    while (turns.length && turns[0].role !== 'user') turns.shift();
+    return turns;
   }
 
   /**
-   * Generate lesson summary.
+   * Chat-based collaborative planning for lessons.
+   * options.history holds the earlier chat messages.
    */
-  async generateLessonSummary(title, transcript, coveredBlocks, totalBlocks, durationMinutes) {
-    const prompt = `Summarize this Elders Quorum lesson.
-
-Lesson: "${title || 'Discussion'}"
-Duration: ${durationMinutes} min
-Blocks: ${coveredBlocks}/${totalBlocks}
+  async chatPlanLesson(message, currentBlocks, context, options = {}) {
+    const vars = {
+      title: context.title || 'Untitled',
+      content: context.content || 'None yet',
+      blocks: currentBlocks.length > 0 ? JSON.stringify(outlineBlocks(currentBlocks), null, 2) : 'No blocks yet.',
+      message
+    };
+    const prompt = this._render('planLesson', vars, 'lesson');
+
+    return this._requestJSON(prompt, 'planChat', {
+      method: 'chatPlanLesson',
+      vars,
+      maxTokens: 1500,
+      ...options,
+      history: this._chatHistory(options.history)
+    });
+  }
 
-Transcript:
-"${transcript}"
+  /**
+   * Chat-based collaborative planning for talks.
+   * options.history holds the earlier chat messages.
+   */
+  async chatPlanTalk(message, currentBlocks, context, options = {}) {
+    const vars = {
+      title: context.topic || 'Untitled',
+      scriptures: context.scriptures || 'None specified',
+      duration: context.duration || 10,
+      content: context.content || 'None yet',
+      blocks: currentBlocks.length > 0 ? JSON.stringify(outlineBlocks(currentBlocks), null, 2) : 'No blocks yet.',
+      message
+    };
+    const prompt = this._render('planTalk', vars, 'talk');
+
+    return this._requestJSON(prompt, 'planChat', {
+      method: 'chatPlanTalk',
+      vars,
+      maxTokens: 1500,
+      ...options,
+      history: this._chatHistory(options.history)
+    });
+  }
 
-Format:
-{
-  "themes": ["theme 1", "theme 2"],
-  "insights": "Key insight",
-  "followUp": ["suggestion"]
-}
+  /**
+   * Generate initial blocks for lesson from its title and notes.
+   * draft: { blockCount, mix, durationMinutes } with mix a key of OUTLINE_MIXES.lesson.
+   */
+  async generateLessonBlocks(title, content, draft = {}, options = {}) {
+    const { blockCount = 6, mix = 'balanced', durationMinutes = 40 } = draft;
+    const vars = { title, content, duration: durationMinutes, blockCount, mix: mixText('lesson', mix) };
+    const prompt = this._render('lessonBlocks', vars, 'lesson');
+    return this._requestJSON(prompt, 'lessonBlocks', { method: 'generateLessonBlocks', vars, maxTokens: 1500, ...options });
+  }
 
-Return ONLY valid JSON.`;
+  /**
+   * Generate initial blocks for talk.
+   * draft: { blockCount, mix } with mix a key of OUTLINE_MIXES.talk.
+   */
+  async generateTalkBlocks(topic, scriptures, existingContent, durationMinutes, draft = {}, options = {}) {
+    const { blockCount = Math.ceil(durationMinutes / 2), mix = 'balanced' } = draft;
+    const vars = {
+      title: topic,
+      scriptures: scriptures || 'None specified',
+      content: existingContent || 'None',
+      duration: durationMinutes,
+      blockCount,
+      mix: mixText('talk', mix)
+    };
+    const prompt = this._render('talkBlocks', vars, 'talk');
 
-    const text = await this.call(prompt, { maxTokens: 400 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return { themes: ['Summary unavailable'], insights: '', followUp: [] };
-    }
+    return this._requestJSON(prompt, 'talkBlocks', { method: 'generateTalkBlocks', vars, maxTokens: 1500, ...options });
   }
 
   /**
-   * Generate talk summary.
+   * Run one of BLOCK_ACTIONS on a block of the outline. Returns
+   * { content, detail, notes, newBlocks }, filled as the action asks.
    */
-  async generateTalkSummary(topic, transcript, durationMinutes) {
-    const prompt = `Review this church talk.
+  async generateBlockAction(action, block, outline, title, mode, options = {}) {
+    const vars = {
+      title: title || 'Untitled',
+      blocks: outline.map((b, i) => `${i + 1}. [${b.type}] ${b.content}`).join('\n'),
+      block: [
+        `Type: ${block.type}`,
+        `Content: ${block.content}`,
+        block.detail ? `Detail: ${block.detail}` : '',
+        block.notes ? `Notes: ${block.notes}` : ''
+      ].filter(Boolean).join('\n'),
+      instruction: BLOCK_ACTIONS[action].instruction
+    };
+    const prompt = this._render(mode === 'talk' ? 'talkBlockAction' : 'blockAction', vars, mode);
 
-Topic: "${topic}"
-Duration: ${durationMinutes} min
+    return this._requestJSON(prompt, 'blockAction', { method: 'generateBlockAction', vars, action, maxTokens: 800, ...options });
+  }
 
-Transcript:
-"${transcript}"
+  /**
+   * Generate a live suggestion for lesson mode.
+   */
+  async generateLiveSuggestion(transcript, currentEntry, currentBlock, hasNoPlan = false, sessionContext = '', options = {}) {
+    const title = currentEntry?.title || 'Gospel Discussion';
+    const vars = {
+      context: hasNoPlan
+        ? 'Free-form gospel discussion.'
+        : `Lesson: "${inlineText(title)}"\nCurrent topic: ${inlineText(currentBlock || 'Open discussion')}`,
+      title,
+      currentBlock: currentBlock || 'Open discussion',
+      sessionContext,
+      transcript,
+      suggestionTypes: typeChoices(LESSON_SUGGESTION_TYPES)
+    };
+    const prompt = this._render('liveSuggestion', vars, 'lesson');
 
-Format:
-{
-  "assessment": "Overall (1-2 sentences)",
-  "strengths": ["strength 1"],
-  "improvements": ["area 1"],
-  "encouragement": "Note"
-}
+    return this._requestJSON(prompt, 'liveSuggestion', { method: 'generateLiveSuggestion', vars, maxTokens: 300, temperature: 0.6, ...LIVE_OPTIONS, ...options });
+  }
 
-Return ONLY valid JSON.`;
+  /**
+   * Generate immediate help.
+   */
+  async generateImmediateHelp(transcript, currentEntry, currentBlock, hasNoPlan = false, sessionContext = '', options = {}) {
+    const title = currentEntry?.title || 'Discussion';
+    const vars = {
+      context: hasNoPlan
+        ? 'Free-form gospel discussion.'
+        : `Lesson: "${inlineText(title)}"\nTopic: ${inlineText(currentBlock || 'Open')}`,
+      title,
+      currentBlock: currentBlock || 'Open',
+      sessionContext,
+      transcript
+    };
+    const prompt = this._render('help', vars, 'lesson');
 
-    const text = await this.call(prompt, { maxTokens: 400 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return { assessment: 'Summary unavailable', strengths: [], improvements: [], encouragement: '' };
-    }
+    return this._requestJSON(prompt, 'help', { method: 'generateImmediateHelp', vars, maxTokens: 250, temperature: 0.7, ...LIVE_OPTIONS, ...options });
   }
 
   /**
-   * Transcribe audio and suggest.
+   * Generate a delivery suggestion during a talk.
    */
-  async transcribeAndSuggest(base64Audio, mimeType, currentEntry, currentBlock, mode = 'lesson', hasNoPlan = false) {
-    const key = this.getApiKey();
-    if (!key) throw new Error('No API key configured');
-
-    const contextInfo = mode === 'lesson'
-      ? (hasNoPlan ? 'Free-form discussion.' : `Lesson: "${currentEntry?.title}"\nTopic: ${currentBlock}`)
-      : `Talk: "${currentEntry?.topic}"\nSection: ${currentBlock}`;
-
-    const suggestionTypes = mode === 'lesson'
-      ? '"scripture" | "doctrine" | "question" | "redirect"'
-      : '"pacing" | "transition" | "emphasis" | "encouragement"';
-
-    const url = `${this.baseUrl}/${this.model}:generateContent?key=${key}`;
-    const body = {
-      contents: [{
-        parts: [
-          { inlineData: { mimeType, data: base64Audio } },
-          {
-            text: `Real-time assistant.
-
-${contextInfo}
-
-Transcribe audio, then suggest:
-{
-  "transcript": "what was said",
-  "type": ${suggestionTypes},
-  "suggestion": "Main point",
-  "bullets": ["bullet"],
-  "reference": "Source"
-}
+  async generateTalkDeliverySuggestion(transcript, talkContent, currentSection, sessionContext = '', options = {}) {
+    const vars = {
+      currentBlock: currentSection,
+      talk: talkContent.substring(0, 600),
+      sessionContext,
+      transcript,
+      suggestionTypes: typeChoices(TALK_SUGGESTION_TYPES)
+    };
+    const prompt = this._render('deliveryTip', vars, 'talk');
+
+    return this._requestJSON(prompt, 'deliveryTip', { method: 'generateTalkDeliverySuggestion', vars, maxTokens: 200, temperature: 0.6, ...LIVE_OPTIONS, ...options });
+  }
 
-If silent, return empty strings. Return ONLY valid JSON.`
-          }
-        ]
-      }],
-      generationConfig: { temperature: 0.6, maxOutputTokens: 350 }
+  /**
+   * Fold new transcript into the running summary of a live session.
+   */
+  async summarizeDiscussion(previousSummary, newTranscript, mode = 'lesson', options = {}) {
+    const vars = {
+      sessionKind: mode === 'lesson' ? 'lesson discussion' : 'talk',
+      summary: previousSummary || 'Nothing yet.',
+      transcript: newTranscript
     };
+    const prompt = this._render('runningSummary', vars, mode);
 
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
+    return this._requestJSON(prompt, 'runningSummary', { method: 'summarizeDiscussion', vars, maxTokens: 300, temperature: 0.3, ...options });
+  }
 
-    if (!res.ok) {
-      const err = await res.json().catch(() => ({}));
-      throw new Error(err.error?.message || `API error: ${res.status}`);
-    }
+  /**
+   * Generate lesson summary.
+   */
+  async generateLessonSummary(title, transcript, coveredBlocks, totalBlocks, durationMinutes, options = {}) {
+    const vars = {
+      title: title || 'Discussion',
+      duration: durationMinutes,
+      coveredBlocks,
+      totalBlocks,
+      transcript
+    };
+    const prompt = this._render('lessonSummary', vars, 'lesson');
 
-    const data = await res.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return { transcript: '', type: 'question', suggestion: '', bullets: [], reference: '' };
-    }
+    return this._requestJSON(prompt, 'lessonSummary', { method: 'generateLessonSummary', vars, maxTokens: 400, ...options });
   }
 
   /**
-   * Lookup scripture text.
+   * Generate talk summary.
    */
-  async lookupScripture(reference) {
-    const prompt = `Look up this scripture reference and provide the verse text.
+  async generateTalkSummary(topic, transcript, durationMinutes, options = {}) {
+    const vars = {
+      title: topic,
+      duration: durationMinutes,
+      transcript
+    };
+    const prompt = this._render('talkSummary', vars, 'talk');
 
-Reference: "${reference}"
+    return this._requestJSON(prompt, 'talkSummary', { method: 'generateTalkSummary', vars, maxTokens: 400, ...options });
+  }
 
-Format as JSON:
-{
-  "reference": "Canonical reference (e.g., Alma 32:21)",
-  "text": "The verse text",
-  "context": "Brief context (1 sentence)"
-}
+  /**
+   * Transcribe audio and suggest.
+   */
+  async transcribeAndSuggest(base64Audio, mimeType, currentEntry, currentBlock, mode = 'lesson', hasNoPlan = false, sessionContext = '', options = {}) {
+    if (!this.supportsAudio) throw new Error(`${this.provider.label} cannot transcribe audio`);
 
-Return ONLY valid JSON.`;
+    const context = mode === 'lesson'
+      ? (hasNoPlan ? 'Free-form discussion.' : `Lesson: "${inlineText(currentEntry?.title)}"\nTopic: ${inlineText(currentBlock)}`)
+      : `Talk: "${inlineText(currentEntry?.topic)}"\nSection: ${inlineText(currentBlock)}`;
 
-    const text = await this.call(prompt, { maxTokens: 300 });
-    try {
-      return this._parseJSON(text);
-    } catch {
-      return { reference, text: 'Could not find scripture', context: '' };
-    }
+    const suggestionTypes = typeChoices(mode === 'lesson' ? LESSON_SUGGESTION_TYPES : TALK_SUGGESTION_TYPES);
+
+    const vars = { context, sessionContext, suggestionTypes };
+    return this._requestJSON([
+      { audio: { mimeType, data: base64Audio } },
+      { text: this._render('transcription', vars, mode) }
+    ], 'transcription', { method: 'transcribeAndSuggest', vars, temperature: 0.6, maxTokens: 350, ...LIVE_OPTIONS, ...options });
   }
 
   /**
-   * Validate API key.
+   * Lookup scripture text. Recognized references are put in display form
+   * first, so "1 ne 3:7" and "1 Nephi 3:7" share one cached answer.
+   * options.mode picks the template set ('lesson' or 'talk').
+   * Results are cached, so a verse looked up in prep still works offline live.
    */
-  async validateKey(key) {
-    const url = `${this.baseUrl}/${this.model}:generateContent?key=${key}`;
-    const body = {
-      contents: [{ parts: [{ text: 'Reply "ok"' }] }],
-      generationConfig: { maxOutputTokens: 8 }
-    };
+  async lookupScripture(input, options = {}) {
+    const { mode, ...rest } = options;
+    const parsed = parseReference(input);
+    const reference = parsed ? formatReference(parsed) : input;
+    const key = this.language === DEFAULT_LANGUAGE ? normalizeReferenceKey(reference) : `${normalizeReferenceKey(reference)}@${this.language}`;
+    return this._cached('lookupScripture', key, SCRIPTURE_CACHE_TTL_MS, () => {
+      const vars = { reference };
+      const prompt = this._render('scripture', vars, mode);
+      return this._requestJSON(prompt, 'scripture', { method: 'lookupScripture', vars, maxTokens: 300, ...rest });
+    });
+  }
 
-    try {
-      const res = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-      });
-      return res.ok;
-    } catch {
-      return false;
-    }
+  /**
+   * Validate the configured provider with a tiny request and list the models
+   * it can use: { ok, models }. models is empty when the provider can't list them.
+   */
+  async validateKey() {
+    const ok = await this.provider.validate();
+    const models = ok ? await this.provider.listModels().catch(() => []) : [];
+    return { ok, models };
   }
 }
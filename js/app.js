@@ -1,11 +1,83 @@
-import { AI } from './ai.js';
-import { Speech } from './speech.js';
-import { $, showScreen, toast, formatTime, renderSessionItem } from './ui.js';
+import { AI, MODEL_TASKS, OUTLINE_MIXES, BLOCK_ACTIONS, LANGUAGES, DEFAULT_LANGUAGE, isAbortError } from './ai.js';
+import { Speech, LOW_CONFIDENCE } from './speech.js';
+import { SuggestionScheduler } from './scheduler.js';
+import { SessionContext } from './session-context.js';
+import { diffBlocks, applyOutlineDiff, diffRows } from './outline-diff.js';
+import { PROMPTS } from './prompts.js';
+import { importFile, importText, IMPORT_ACCEPT } from './importer.js';
+import { findReferences, findSpokenReferences, parseReference, formatReference, formatReferences, sameReference } from './scripture-refs.js';
+import { ScriptureLibrary } from './scripture-library.js';
+import { $, showScreen, toast, escapeHtml, formatTime, formatTokens, formatCost, maskKey, renderSessionItem } from './ui.js';
+
+const DEFAULT_LESSON_MINUTES = 40;
+
+// Suggestions for a scripture block's translation or edition
+const TRANSLATIONS = ['KJV', 'NKJV', 'ESV', 'NIV', 'NRSVue', 'JST'];
+
+/**
+ * "--", "~N" or "min-max" for a time estimate.
+ */
+function estimateText(est) {
+  if (est.min === 0 && est.max === 0) return '--';
+  return est.min === est.max ? `~${est.min}` : `${est.min}-${est.max}`;
+}
+
+/**
+ * Note under verse text: AI text can be misquoted, and library text can be
+ * in another language than the session.
+ */
+function verseSourceHtml(source, translation = '') {
+  if (source === 'ai') return '<div class="verse-source">AI-provided text. Check the wording.</div>';
+  if (source === 'library' && translation) return `<div class="verse-source">Scripture library text in ${escapeHtml(translation)}.</div>`;
+  return '';
+}
+
+/**
+ * Verse text, labeled by where it came from.
+ */
+function verseHtml(verse) {
+  return `
+    <div class="verse-text">${escapeHtml(verse.text)}</div>
+    ${verseSourceHtml(verse.source, verse.translation)}
+  `;
+}
+
+/**
+ * Verse text as HTML, with a scripture block's highlighted phrase marked.
+ */
+function markHighlight(text, highlight) {
+  if (!highlight) return escapeHtml(text);
+  // The capture group keeps each match in the split, at the odd indexes
+  const pattern = new RegExp(`(${highlight.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+  return text.split(pattern)
+    .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Sorted verse numbers as [start, end] ranges.
+ */
+function verseRanges(numbers) {
+  const ranges = [];
+  for (const n of [...numbers].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) {
+      last[1] = n;
+    } else {
+      ranges.push([n, n]);
+    }
+  }
+  return ranges;
+}
 
 class App {
   constructor() {
     this.ai = new AI();
+    this.library = new ScriptureLibrary();
     this.speech = new Speech();
+    this.scheduler = new SuggestionScheduler(() => this.liveSuggestions);
+    this.sessionContext = new SessionContext();
+    this.contextInterval = null;
     this.mode = 'lesson'; // 'lesson' | 'talk'
     this.currentEntry = null;
     this.blocks = []; // flexible blocks for lesson/talk
@@ -19,14 +91,22 @@ class App {
     this.talkDuration = 10;
     this.engagementLevel = 'moderate';
     this.chatMessages = [];
-    this.deletedBlock = null; // for undo
+    this.undoState = null; // { label, blocks } single-level undo for outline changes
+    this.undoTimeout = null;
+    this.outlineProposal = null; // AI outline changes awaiting review: { diff, decisions }
+    this.outlineDraft = null; // drafted outline awaiting append/replace: { blocks, estimatedMinutes, targetMinutes }
     this.blockStartTimes = []; // track time per block
     this.timeWarningShown = {}; // track which warnings shown
     this.draggedBlockIndex = null;
     this.expandedBlockIndex = null; // for prep editing
+    this.blockActionPending = null; // block AI action in flight; one at a time
     this.isPaused = false; // pause AI during live mode
     this.liveSuggestions = []; // store suggestions for after-action review
+    this.shownSuggestion = null; // suggestion in the bar, for verse lookups
+    this.liveVerseText = {}; // library text for live scripture blocks without their own, by index
     this.lastMatchedBlockIndex = -1; // for smart scroll
+    this.usageSession = null; // id tagging AI usage from the current live session
+    this.requestAbort = new AbortController(); // cancels AI requests when leaving a screen
   }
 
   init() {
@@ -62,9 +142,12 @@ class App {
       const entry = {
         ...this.currentEntry,
         blocks: this.blocks,
+        chatMessages: this.savedChatMessages(),
         transcript,
+        transcriptSegments: this.speech.segments,
         duration,
         liveSuggestions: this.liveSuggestions,
+        ...(this.usageSession ? { usage: this.ai.usage.sessionTotals(this.usageSession) } : {}),
         updatedAt: new Date().toISOString()
       };
       if (existing >= 0) {
@@ -79,9 +162,12 @@ class App {
       const entry = {
         ...this.currentEntry,
         blocks: this.blocks,
+        chatMessages: this.savedChatMessages(),
         transcript,
+        transcriptSegments: this.speech.segments,
         duration,
         liveSuggestions: this.liveSuggestions,
+        ...(this.usageSession ? { usage: this.ai.usage.sessionTotals(this.usageSession) } : {}),
         updatedAt: new Date().toISOString()
       };
       if (existing >= 0) {
@@ -104,6 +190,7 @@ class App {
     const entry = {
       ...this.currentEntry,
       blocks: this.blocks,
+      chatMessages: this.savedChatMessages(),
       updatedAt: new Date().toISOString()
     };
 
@@ -119,7 +206,8 @@ class App {
   // --- Smart Scroll (Voice Tracking) ---
 
   /**
-   * Extract keywords from a block for voice matching.
+   * Extract keywords from a block for voice matching. Scripture references
+   * are matched separately (see checkSmartScroll).
    */
   getBlockKeywords(block) {
     if (!block) return [];
@@ -129,16 +217,6 @@ class App {
     const notes = (block.notes || '').toLowerCase();
     const combined = content + ' ' + notes;
 
-    // Extract scripture references (e.g., "alma 32", "3 nephi 11", "d&c 4")
-    const scripturePattern = /\b(\d?\s*[a-z]+)\s+(\d+)(?::(\d+))?\b/gi;
-    let match;
-    while ((match = scripturePattern.exec(combined)) !== null) {
-      // Add book + chapter as keyword (e.g., "alma 32")
-      keywords.push(match[0].toLowerCase().replace(/\s+/g, ' ').trim());
-      // Also add just the book name
-      if (match[1]) keywords.push(match[1].toLowerCase().trim());
-    }
-
     // Extract significant words (4+ chars, not common words)
     const stopWords = new Set(['that', 'this', 'with', 'from', 'have', 'were', 'been', 'will', 'what', 'when', 'where', 'which', 'their', 'there', 'about', 'would', 'could', 'should', 'being', 'other', 'these', 'those', 'after', 'before', 'through', 'between', 'because', 'while', 'during']);
 
@@ -160,6 +238,8 @@ class App {
     if (!this.blocks.length || this.isPaused) return;
 
     const recentTranscript = transcript.slice(-300).toLowerCase();
+    // References read out, e.g. "first Nephi three seven"
+    const spokenReferences = findSpokenReferences(recentTranscript);
 
     // Check each block for keyword matches
     let bestMatch = { index: -1, score: 0 };
@@ -169,14 +249,12 @@ class App {
       let score = 0;
 
       for (const keyword of keywords) {
-        if (recentTranscript.includes(keyword)) {
-          // Scripture references worth more
-          if (/\d/.test(keyword)) {
-            score += 3;
-          } else {
-            score += 1;
-          }
-        }
+        if (recentTranscript.includes(keyword)) score += 1;
+      }
+
+      // Scripture references worth more
+      for (const reference of findReferences(`${block.content || ''} ${block.notes || ''}`)) {
+        if (spokenReferences.some(spoken => sameReference(spoken, reference))) score += 3;
       }
 
       // Require minimum score and prefer forward progress
@@ -196,8 +274,8 @@ class App {
 
   // --- Time Estimation ---
 
-  calculateTimeEstimate() {
-    if (this.blocks.length === 0) return { min: 0, max: 0 };
+  calculateTimeEstimate(blocks = this.blocks) {
+    if (blocks.length === 0) return { min: 0, max: 0 };
 
     const baseTimes = {
       point: { min: 2, max: 4 },
@@ -217,7 +295,7 @@ class App {
     let totalMin = 0;
     let totalMax = 0;
 
-    for (const block of this.blocks) {
+    for (const block of blocks) {
       const times = baseTimes[block.type] || baseTimes.point;
       totalMin += times.min * mult.min;
       totalMax += times.max * mult.max;
@@ -233,14 +311,9 @@ class App {
     const el = $('#time-estimate');
     if (!el) return;
 
-    const est = this.calculateTimeEstimate();
-    if (est.min === 0 && est.max === 0) {
-      el.innerHTML = '<span class="time-value">--</span> min';
-    } else if (est.min === est.max) {
-      el.innerHTML = `<span class="time-value">~${est.min}</span> min`;
-    } else {
-      el.innerHTML = `<span class="time-value">${est.min}-${est.max}</span> min`;
-    }
+    el.innerHTML = `<span class="time-value">${estimateText(this.calculateTimeEstimate())}</span> min`;
+    // The draft preview compares against the current outline and engagement
+    if (this.outlineDraft) this.renderOutlineDraft();
   }
 
   // --- Routing ---
@@ -285,7 +358,20 @@ class App {
       this.stopLive();
     }
 
+    // Late responses must never land on a screen that has already changed
+    this.requestAbort.abort();
+    this.requestAbort = new AbortController();
+    this.outlineProposal = null;
+    this.outlineDraft = null;
+    this.undoState = null;
+
+    if (!route.includes('live') && !route.includes('summary')) {
+      this.usageSession = null;
+      this.ai.usage.session = null;
+    }
+
     this.updateTabBar(route);
+    this.applyLanguage();
 
     switch (route) {
       case 'settings': this.renderSettings(); break;
@@ -303,11 +389,113 @@ class App {
     }
   }
 
+  // --- Locked Keys ---
+
+  /**
+   * True when AI features can run, or could once encrypted keys are unlocked.
+   */
+  aiAvailable() {
+    return this.ai.isConfigured() || this.ai.isLocked();
+  }
+
+  /**
+   * Ask for the passphrase while encrypted keys are locked. Resolves true
+   * once they are unlocked (or were never locked), false if the user goes
+   * on without them.
+   */
+  unlockKeysDialog(cancelLabel = 'Cancel') {
+    if (!this.ai.isLocked()) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.className = 'unlock-overlay';
+      overlay.innerHTML = `
+        <form class="unlock-dialog">
+          <h3>Unlock API keys</h3>
+          <p class="hint">Your API keys are encrypted. Enter your passphrase to use AI features.</p>
+          <div class="input-group mt-2">
+            <label for="unlock-passphrase-input">Passphrase</label>
+            <input type="password" id="unlock-passphrase-input" autocomplete="current-password">
+          </div>
+          <div class="unlock-actions">
+            <button type="button" class="btn btn-sm btn-ghost" id="unlock-cancel-btn">${cancelLabel}</button>
+            <button type="submit" class="btn btn-sm btn-primary" id="unlock-submit-btn">Unlock</button>
+          </div>
+        </form>
+      `;
+      document.body.appendChild(overlay);
+
+      const input = overlay.querySelector('#unlock-passphrase-input');
+      const close = (unlocked) => {
+        overlay.remove();
+        resolve(unlocked);
+      };
+
+      overlay.querySelector('#unlock-cancel-btn').addEventListener('click', () => close(false));
+      overlay.querySelector('form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const btn = overlay.querySelector('#unlock-submit-btn');
+        btn.disabled = true;
+        try {
+          await this.ai.unlockKeys(input.value);
+        } catch (err) {
+          btn.disabled = false;
+          toast(err.message);
+          input.select();
+          return;
+        }
+        toast('API keys unlocked');
+        close(true);
+      });
+      input.focus();
+    });
+  }
+
+  // --- Session Language ---
+
+  /**
+   * Language for new lessons and talks: the one last chosen.
+   */
+  defaultLanguage() {
+    const id = localStorage.getItem('lc_language');
+    return LANGUAGES[id] ? id : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Point speech recognition and AI prompts at the current entry's language.
+   */
+  applyLanguage() {
+    const id = LANGUAGES[this.currentEntry?.language] ? this.currentEntry.language : DEFAULT_LANGUAGE;
+    this.ai.language = id;
+    this.speech.lang = LANGUAGES[id].speech;
+  }
+
+  languageSelectHtml() {
+    const current = this.currentEntry.language || DEFAULT_LANGUAGE;
+    return `
+          <div class="input-group">
+            <label for="language-select">Session Language</label>
+            <select id="language-select">
+              ${Object.entries(LANGUAGES).map(([id, language]) => `<option value="${id}" ${id === current ? 'selected' : ''}>${language.label}</option>`).join('')}
+            </select>
+            <p class="hint">Used for speech recognition and for AI suggestions, summaries and scripture lookups.</p>
+          </div>`;
+  }
+
+  bindLanguageSelect() {
+    $('#language-select').addEventListener('change', (e) => {
+      this.currentEntry.language = e.target.value;
+      localStorage.setItem('lc_language', e.target.value);
+      this.applyLanguage();
+      this.savePrep();
+    });
+  }
+
   // --- Settings ---
 
   renderSettings() {
-    const hasKey = this.ai.hasApiKey();
-    const key = this.ai.getApiKey();
+    const providerId = this.ai.getProviderId();
+    const configured = this.ai.isConfigured();
 
     $('#screen-settings').innerHTML = `
       <div class="header">
@@ -317,25 +505,84 @@ class App {
       </div>
       <div style="padding:16px">
         <div class="settings-section">
-          <h3>Google Gemini API Key</h3>
+          <h3>AI Provider</h3>
           <div class="input-group">
-            <label for="api-key-input">API Key</label>
-            <input type="password" id="api-key-input" placeholder="Enter your Gemini API key"
-              value="${hasKey ? key : ''}">
-            <p class="hint">
-              Free tier available.
-              <a href="https://aistudio.google.com/apikey" target="_blank" rel="noopener">Get a key here</a>
-            </p>
+            <label for="provider-select">Provider</label>
+            <select id="provider-select">
+              <option value="gemini" ${providerId === 'gemini' ? 'selected' : ''}>Google Gemini</option>
+              <option value="openai" ${providerId === 'openai' ? 'selected' : ''}>OpenAI-compatible</option>
+              <option value="local" ${providerId === 'local' ? 'selected' : ''}>Local server (Ollama, llama.cpp)</option>
+              <option value="mock" ${providerId === 'mock' ? 'selected' : ''}>Offline demo (no AI)</option>
+            </select>
           </div>
+          <div id="provider-fields"></div>
           <div id="key-status">
-            ${hasKey
-              ? '<span class="key-status valid">&#10003; Key saved</span>'
-              : '<span class="key-status missing">&#10007; No key set</span>'}
+            ${configured
+              ? '<span class="key-status valid">&#10003; Provider saved</span>'
+              : '<span class="key-status missing">&#10007; Not set up</span>'}
+          </div>
+          <div class="mt-2" style="display:flex;gap:12px">
+            <button class="btn btn-primary" id="save-key-btn">Save</button>
+            <button class="btn btn-ghost" id="test-key-btn" ${!configured ? 'disabled' : ''}>Test</button>
+          </div>
+        </div>
+
+        <div class="settings-section">
+          <h3>Key Encryption</h3>
+          <div id="key-lock"></div>
+        </div>
+
+        <div class="settings-section">
+          <h3>Live Suggestions</h3>
+          <div class="input-group">
+            <label for="live-rpm-input">Max AI requests per minute</label>
+            <input type="number" id="live-rpm-input" min="1" max="60" value="${this.getLiveRequestBudget()}">
+            <p class="hint">Free-tier Gemini keys allow about 15. Chunks that arrive faster are merged.</p>
+          </div>
+        </div>
+
+        <div class="settings-section">
+          <h3>Web Pages</h3>
+          <div class="input-group">
+            <label for="fetch-proxy-input">Fetch proxy (optional)</label>
+            <input type="url" id="fetch-proxy-input" placeholder="https://proxy.example.com/?url={url}"
+              value="${escapeHtml(this.ai.getFetchProxy())}">
+            <p class="hint">Used when a site blocks pages from loading in the app. {url} is replaced with the page address; without it the address is added to the end.</p>
           </div>
+        </div>
+
+        <div class="settings-section">
+          <h3>Scripture Library</h3>
+          <p class="hint" id="library-status">${this.libraryStatusText()}</p>
+          <p class="hint">Import a JSON or CSV export of the standard works to look up verses instantly and offline. Each import adds to the library; clear it first to start over. Verses that are not in the library are looked up by the AI and marked as AI-provided.</p>
           <div class="mt-2" style="display:flex;gap:12px">
-            <button class="btn btn-primary" id="save-key-btn">Save Key</button>
-            <button class="btn btn-ghost" id="test-key-btn" ${!hasKey ? 'disabled' : ''}>Test Key</button>
+            <button class="btn btn-sm" id="library-import-btn">Import verses</button>
+            <button class="btn btn-sm btn-ghost" id="library-clear-btn">Clear library</button>
+            <input type="file" id="library-file-input" accept=".json,.csv,application/json,text/csv" hidden>
+          </div>
+        </div>
+
+        <div class="settings-section">
+          <h3>AI Usage</h3>
+          <div id="usage-report"></div>
+          <div class="input-group">
+            <label for="usage-cap-input">Daily token limit</label>
+            <input type="number" id="usage-cap-input" min="0" step="1000" placeholder="No limit"
+              value="${this.ai.usage.getDailyCap() || ''}">
+            <p class="hint">Live suggestions pause when today's usage reaches this. Leave empty for no limit.</p>
           </div>
+          <button class="btn btn-sm btn-ghost" id="clear-usage-btn">Clear usage history</button>
+        </div>
+
+        <div class="settings-section">
+          <h3>AI Cache</h3>
+          <p class="hint" id="cache-status">${this.cacheStatusText()}</p>
+          <button class="btn btn-sm btn-ghost mt-2" id="clear-cache-btn">Clear AI cache</button>
+        </div>
+
+        <div class="settings-section">
+          <h3>Prompt Templates</h3>
+          <div id="template-settings"></div>
         </div>
 
         <div class="settings-section">
@@ -346,104 +593,638 @@ class App {
     `;
 
     showScreen('screen-settings');
+    this.renderProviderFields(providerId);
+    this.renderKeyLock();
+    this.renderTemplateSettings();
+    this.renderUsageReport();
+
+    $('#usage-cap-input').addEventListener('change', (e) => {
+      const val = Math.max(0, parseInt(e.target.value) || 0);
+      e.target.value = val || '';
+      this.ai.usage.setDailyCap(val);
+      toast(val ? 'Saved' : 'Limit removed');
+    });
+
+    $('#library-import-btn').addEventListener('click', () => $('#library-file-input').click());
+
+    $('#library-file-input').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+
+      const btn = $('#library-import-btn');
+      btn.disabled = true;
+      btn.textContent = 'Importing...';
+      try {
+        const { added, skipped } = await this.library.importFile(file, {
+          onProgress: (count) => { $('#library-status').textContent = `Reading verses... ${count.toLocaleString()}`; }
+        });
+        toast(`Imported ${added.toLocaleString()} verses${skipped ? ` (${skipped.toLocaleString()} rows skipped)` : ''}`);
+      } catch (err) {
+        toast(err.message);
+      }
+      btn.disabled = false;
+      btn.textContent = 'Import verses';
+      $('#library-status').textContent = this.libraryStatusText();
+    });
+
+    $('#library-clear-btn').addEventListener('click', async () => {
+      if (this.library.isEmpty() || !confirm('Remove all verses from the scripture library?')) return;
+      try {
+        await this.library.clear();
+        toast('Scripture library cleared');
+      } catch (err) {
+        toast(err.message);
+      }
+      $('#library-status').textContent = this.libraryStatusText();
+    });
+
+    $('#clear-cache-btn').addEventListener('click', () => {
+      this.ai.cache.clear();
+      $('#cache-status').textContent = this.cacheStatusText();
+      toast('AI cache cleared');
+    });
+
+    $('#clear-usage-btn').addEventListener('click', () => {
+      if (!confirm('Clear all recorded AI usage?')) return;
+      this.ai.usage.clear();
+      this.renderUsageReport();
+      toast('Usage history cleared');
+    });
+
+    $('#fetch-proxy-input').addEventListener('change', (e) => {
+      this.ai.setFetchProxy(e.target.value);
+      toast(e.target.value.trim() ? 'Saved' : 'Proxy removed');
+    });
+
+    $('#live-rpm-input').addEventListener('change', (e) => {
+      const val = Math.min(60, Math.max(1, parseInt(e.target.value) || 10));
+      e.target.value = val;
+      localStorage.setItem('lc_live_rpm', String(val));
+      toast('Saved');
+    });
+
+    $('#provider-select').addEventListener('change', (e) => {
+      this.renderProviderFields(e.target.value);
+    });
+
+    $('#provider-fields').addEventListener('click', (e) => {
+      if (e.target.id !== 'reveal-key-btn') return;
+      const key = this.ai.getApiKey($('#provider-select').value);
+      const revealed = e.target.textContent === 'Hide';
+      $('#saved-key').textContent = revealed ? maskKey(key) : key;
+      e.target.textContent = revealed ? 'Show' : 'Hide';
+    });
 
-    $('#save-key-btn').addEventListener('click', () => {
-      const val = $('#api-key-input').value.trim();
-      if (!val) {
+    $('#save-key-btn').addEventListener('click', async () => {
+      const id = $('#provider-select').value;
+      if (this.ai.isLocked()) {
+        toast('Unlock your API keys first');
+        return;
+      }
+      const config = {
+        // An empty field keeps the saved key
+        apiKey: $('#api-key-input')?.value.trim() || this.ai.getApiKey(id)
+      };
+      if (id === 'openai' || id === 'local') {
+        config.baseUrl = $('#base-url-input').value.trim();
+        config.model = $('#model-input').value.trim();
+      }
+      if (id !== 'mock') {
+        config.models = {};
+        for (const task of Object.keys(MODEL_TASKS)) {
+          const model = $(`#model-${task}-input`)?.value.trim();
+          if (model) config.models[task] = model;
+        }
+      }
+      if (id === 'gemini' && !config.apiKey) {
         toast('Please enter an API key');
         return;
       }
-      localStorage.setItem('gemini_api_key', val);
-      $('#key-status').innerHTML = '<span class="key-status valid">&#10003; Key saved</span>';
+
+      await this.ai.setProvider(id, config);
+      this.renderProviderFields(id);
+      if (!this.ai.isConfigured()) {
+        $('#key-status').innerHTML = '<span class="key-status missing">&#10007; Not set up</span>';
+        $('#test-key-btn').disabled = true;
+        toast('Fill in the required fields');
+        return;
+      }
+      $('#key-status').innerHTML = '<span class="key-status valid">&#10003; Provider saved</span>';
       $('#test-key-btn').disabled = false;
-      toast('API key saved');
+      toast('Provider saved');
     });
 
     $('#test-key-btn').addEventListener('click', async () => {
       const btn = $('#test-key-btn');
       btn.disabled = true;
       btn.textContent = 'Testing...';
-      const valid = await this.ai.validateKey(this.ai.getApiKey());
+      const { ok, models } = await this.ai.validateKey();
       btn.disabled = false;
-      btn.textContent = 'Test Key';
-      if (valid) {
-        $('#key-status').innerHTML = '<span class="key-status valid">&#10003; Key valid</span>';
-        toast('API key is working');
+      btn.textContent = 'Test';
+      if (ok) {
+        $('#key-status').innerHTML = '<span class="key-status valid">&#10003; Provider working</span>';
+        this.renderModelList(models);
+        toast('Provider is working');
       } else {
-        $('#key-status').innerHTML = '<span class="key-status missing">&#10007; Key invalid</span>';
-        toast('API key is invalid');
+        $('#key-status').innerHTML = '<span class="key-status missing">&#10007; Provider not responding</span>';
+        toast('Could not reach the provider');
       }
     });
   }
 
-  // --- Lessons Tab ---
-
-  renderLessonsTab() {
-    const allLessons = this.loadHistory('lc_lessons');
-    const lessons = allLessons.filter(l => !l.archived);
-    const archived = allLessons.filter(l => l.archived);
+  /**
+   * Render the prompt template settings, editing the given set.
+   */
+  renderTemplateSettings(editSetId = this.ai.prompts.getActive(this.mode)) {
+    const el = $('#template-settings');
+    if (!el) return;
 
-    let html = `
-      <div class="header">
-        <div style="width:40px"></div>
-        <h1>Lessons</h1>
-        <button class="header-btn settings-btn" onclick="location.hash='#settings'"></button>
+    const templates = this.ai.prompts;
+    const sets = templates.list();
+    if (!sets.some(t => t.id === editSetId)) editSetId = sets[0].id;
+    const options = (selectedId) => sets
+      .map(t => `<option value="${escapeHtml(t.id)}" ${t.id === selectedId ? 'selected' : ''}>${escapeHtml(t.name)}</option>`)
+      .join('');
+    const editing = sets.find(t => t.id === editSetId);
+
+    el.innerHTML = `
+      <div class="input-group">
+        <label for="lesson-template-select">Lessons use</label>
+        <select id="lesson-template-select">${options(templates.getActive('lesson'))}</select>
+      </div>
+      <div class="input-group">
+        <label for="talk-template-select">Talks use</label>
+        <select id="talk-template-select">${options(templates.getActive('talk'))}</select>
+        <p class="hint">Make a set for Relief Society, Sunday School or youth classes to change the framing and tone. Suggestion types are fixed, so prompts that use them must keep {{suggestionTypes}}.</p>
+      </div>
+      <div class="input-group">
+        <label for="template-set-select">Edit set</label>
+        <select id="template-set-select">${options(editSetId)}</select>
+      </div>
+      <div class="template-actions">
+        <button class="btn btn-sm btn-ghost" id="new-template-btn">New set</button>
+        <button class="btn btn-sm btn-ghost" id="delete-template-btn" ${editing.builtIn ? 'disabled' : ''}>Delete set</button>
+        <button class="btn btn-sm btn-ghost" id="export-templates-btn">Export</button>
+        <button class="btn btn-sm btn-ghost" id="import-templates-btn">Import</button>
+        <input type="file" id="import-templates-input" accept=".json,application/json" hidden>
+      </div>
+      <div class="input-group">
+        <label for="template-prompt-select">Prompt</label>
+        <select id="template-prompt-select">
+          ${Object.entries(PROMPTS).map(([key, p]) => `<option value="${key}">${p.label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="input-group">
+        <textarea id="template-text" class="template-text" spellcheck="false"></textarea>
+        <p class="hint" id="template-variables"></p>
+      </div>
+      <div style="display:flex;gap:12px">
+        <button class="btn btn-primary" id="save-template-btn">Save</button>
+        <button class="btn btn-ghost" id="reset-template-btn">Reset to default</button>
       </div>
-      <div style="padding:16px">
     `;
 
-    if (!this.ai.hasApiKey()) {
-      html += `
-        <div class="card mb-2" style="border-color:var(--warning)">
-          <p style="color:var(--warning);font-weight:600;margin-bottom:4px">Setup Required</p>
-          <p style="font-size:0.875rem">Add your Gemini API key in
-            <a href="#settings" style="color:var(--gold)">Settings</a>.</p>
+    const showPrompt = () => {
+      const key = $('#template-prompt-select').value;
+      $('#template-text').value = templates.get(key, editSetId);
+      const required = PROMPTS[key].required || [];
+      $('#template-variables').textContent = `Variables: ${PROMPTS[key].variables.map(v => `{{${v}}}`).join(' ')}` +
+        (required.length ? `. Required: ${required.map(v => `{{${v}}}`).join(' ')}` : '');
+      $('#reset-template-btn').disabled = !templates.isCustomized(key, editSetId);
+    };
+    showPrompt();
+
+    $('#lesson-template-select').addEventListener('change', (e) => {
+      templates.setActive('lesson', e.target.value);
+      toast('Saved');
+    });
+
+    $('#talk-template-select').addEventListener('change', (e) => {
+      templates.setActive('talk', e.target.value);
+      toast('Saved');
+    });
+
+    $('#template-set-select').addEventListener('change', (e) => {
+      this.renderTemplateSettings(e.target.value);
+    });
+
+    $('#template-prompt-select').addEventListener('change', showPrompt);
+
+    $('#save-template-btn').addEventListener('click', () => {
+      const key = $('#template-prompt-select').value;
+      const text = $('#template-text').value.trim();
+      if (!text) {
+        toast('Template cannot be empty');
+        return;
+      }
+      try {
+        templates.save(editSetId, key, text);
+      } catch (err) {
+        toast(err.message);
+        return;
+      }
+      $('#reset-template-btn').disabled = false;
+      toast('Template saved');
+    });
+
+    $('#reset-template-btn').addEventListener('click', () => {
+      const key = $('#template-prompt-select').value;
+      if (!confirm(`Reset "${PROMPTS[key].label}" to the default?`)) return;
+      templates.reset(editSetId, key);
+      showPrompt();
+      toast('Template reset');
+    });
+
+    $('#new-template-btn').addEventListener('click', () => {
+      const name = prompt('Name for the new template set:', 'Relief Society');
+      if (!name?.trim()) return;
+      const id = templates.create(name.trim(), editSetId);
+      this.renderTemplateSettings(id);
+      toast(`Created "${name.trim()}" from "${editing.name}"`);
+    });
+
+    $('#delete-template-btn').addEventListener('click', () => {
+      if (editing.builtIn || !confirm(`Delete the "${editing.name}" template set?`)) return;
+      templates.remove(editSetId);
+      this.renderTemplateSettings();
+      toast('Template set deleted');
+    });
+
+    $('#export-templates-btn').addEventListener('click', () => {
+      const blob = new Blob([templates.export()], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'lesson-companion-templates.json';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+
+    $('#import-templates-btn').addEventListener('click', () => $('#import-templates-input').click());
+
+    $('#import-templates-input').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      try {
+        const count = templates.import(await file.text());
+        this.renderTemplateSettings(editSetId);
+        toast(`Imported ${count} template set${count === 1 ? '' : 's'}`);
+      } catch (err) {
+        toast(err.message);
+      }
+    });
+  }
+
+  libraryStatusText() {
+    const stats = this.library.getStats();
+    if (!stats) return 'No verses yet, so scripture lookups ask the AI.';
+    return `${stats.count.toLocaleString()} verses from ${stats.books} book${stats.books === 1 ? '' : 's'}.`;
+  }
+
+  cacheStatusText() {
+    const size = this.ai.cache.size;
+    return `${size} saved lookup${size === 1 ? '' : 's'} (scriptures and imported pages). These are reused instead of asking the AI again and still work offline.`;
+  }
+
+  /**
+   * Daily and monthly AI usage tables for Settings.
+   */
+  renderUsageReport() {
+    const el = $('#usage-report');
+    if (!el) return;
+
+    const row = (label, t) => `
+      <tr>
+        <td>${label}</td>
+        <td>${t.requests}</td>
+        <td>${formatTokens(t.promptTokens + t.responseTokens)}</td>
+        <td>${t.cost ? formatCost(t.cost) : '&ndash;'}</td>
+      </tr>
+    `;
+    const table = (title, rows) => `
+      <table class="usage-table">
+        <thead><tr><th>${title}</th><th>Requests</th><th>Tokens</th><th>Est. cost</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    const days = this.ai.usage.daily(7);
+    const months = this.ai.usage.monthly(6);
+    const dayLabel = (day, i) => i === 0 ? 'Today'
+      : new Date(`${day}T00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    const monthLabel = (month) => new Date(`${month}-01T00:00`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+    el.innerHTML = `
+      ${table('Day', days.map((d, i) => row(dayLabel(d.day, i), d)).join(''))}
+      ${table('Month', months.map(m => row(monthLabel(m.month), m)).join(''))}
+      <p class="hint">Costs are estimates from list prices and only cover known models.</p>
+    `;
+  }
+
+  getLiveRequestBudget() {
+    return parseInt(localStorage.getItem('lc_live_rpm')) || 10;
+  }
+
+  /**
+   * Render the settings fields for one provider.
+   */
+  renderProviderFields(id) {
+    const el = $('#provider-fields');
+    if (!el) return;
+
+    const config = this.ai.getProviderConfig(id);
+
+    if (id === 'gemini') {
+      el.innerHTML = `
+        <div class="input-group">
+          <label for="api-key-input">API Key</label>
+          <input type="password" id="api-key-input" autocomplete="off"
+            placeholder="${config.apiKey ? 'Enter a new key to replace the saved one' : 'Enter your Gemini API key'}">
+          ${this.savedKeyHtml(config.apiKey)}
+          <p class="hint">
+            Free tier available.
+            <a href="https://aistudio.google.com/apikey" target="_blank" rel="noopener">Get a key here</a>
+          </p>
         </div>
+        ${this.modelFieldsHtml(id, config)}
       `;
+      return;
     }
 
-    html += `
-      <button class="quick-start-btn" id="quick-start-lesson-btn">
-        <span>&#9889;</span> Start Lesson Now
-      </button>
-      <button class="new-session-btn" id="new-lesson-btn">+ Plan New Lesson</button>
+    if (id === 'mock') {
+      el.innerHTML = `
+        <p class="hint">
+          Canned responses built on the device from a small set of topics, scriptures and questions.
+          Works with no network or key, for demos and trying out the app.
+        </p>
+      `;
+      return;
+    }
+
+    const isLocal = id === 'local';
+    el.innerHTML = `
+      <div class="input-group">
+        <label for="base-url-input">${isLocal ? 'Server URL' : 'Base URL'}</label>
+        <input type="url" id="base-url-input"
+          placeholder="${isLocal ? 'http://192.168.1.20:11434/v1' : 'https://api.openai.com/v1'}"
+          value="${escapeHtml(config.baseUrl)}">
+        <p class="hint">${isLocal
+          ? 'Ollama listens on port 11434, llama.cpp on 8080. The server must allow requests from this app (CORS).'
+          : 'Any endpoint that serves /chat/completions.'}</p>
+      </div>
+      <div class="input-group">
+        <label for="api-key-input">API Key${isLocal ? ' (optional)' : ''}</label>
+        <input type="password" id="api-key-input" autocomplete="off"
+          placeholder="${config.apiKey ? 'Enter a new key to replace the saved one' : isLocal ? 'Only if your server requires one' : 'sk-...'}">
+        ${this.savedKeyHtml(config.apiKey)}
+      </div>
+      <div class="input-group">
+        <label for="model-input">Model</label>
+        <input type="text" id="model-input" placeholder="${isLocal ? 'llama3.1' : 'gpt-4o-mini'}"
+          value="${escapeHtml(config.model)}">
+        <p class="hint">Audio transcription on iPhone needs the Gemini provider.</p>
+      </div>
+      ${this.modelFieldsHtml(id, config)}
     `;
+  }
 
-    if (lessons.length > 0) {
-      html += '<div class="label">Past Lessons</div><ul class="session-list" id="lesson-list"></ul>';
-    } else if (archived.length === 0) {
-      html += `
-        <div class="empty-state">
-          <div class="icon">&#128218;</div>
-          <p>No lessons yet.</p>
+  /**
+   * The saved key, masked, with a toggle to reveal it. The key is never put
+   * back into the input.
+   */
+  savedKeyHtml(key) {
+    if (this.ai.isLocked()) return '<p class="hint">The saved key is encrypted. Unlock it under Key Encryption.</p>';
+    if (!key) return '';
+    return `
+      <p class="hint saved-key">
+        Saved key: <code id="saved-key">${maskKey(key)}</code>
+        <button type="button" class="btn btn-sm btn-ghost" id="reveal-key-btn">Show</button>
+      </p>
+    `;
+  }
+
+  /**
+   * Key encryption controls: set a passphrase, unlock, lock or turn it off.
+   */
+  renderKeyLock() {
+    const el = $('#key-lock');
+    if (!el) return;
+
+    if (!this.ai.keysEncrypted()) {
+      el.innerHTML = `
+        <p class="hint">Encrypt saved API keys with a passphrase. You'll enter it once each time the app opens.</p>
+        <div class="input-group mt-2">
+          <label for="passphrase-input">Passphrase</label>
+          <input type="password" id="passphrase-input" autocomplete="new-password">
         </div>
+        <div class="input-group">
+          <label for="passphrase-confirm-input">Confirm passphrase</label>
+          <input type="password" id="passphrase-confirm-input" autocomplete="new-password">
+        </div>
+        <button class="btn btn-sm btn-ghost" id="encrypt-keys-btn">Encrypt keys</button>
       `;
+      $('#encrypt-keys-btn').addEventListener('click', async () => {
+        const passphrase = $('#passphrase-input').value;
+        if (passphrase.length < 8) {
+          toast('Use a passphrase of at least 8 characters');
+          return;
+        }
+        if (passphrase !== $('#passphrase-confirm-input').value) {
+          toast('Passphrases do not match');
+          return;
+        }
+        try {
+          await this.ai.encryptKeys(passphrase);
+        } catch (e) {
+          toast(`Could not encrypt keys: ${e.message}`);
+          return;
+        }
+        toast('API keys encrypted');
+        this.renderSettings();
+      });
+      return;
     }
 
-    if (archived.length > 0) {
-      html += `
-        <div class="archive-section">
-          <button class="archive-toggle" id="toggle-archived-lessons">
-            <span>&#128193;</span> Archived (${archived.length})
-          </button>
-          <ul class="session-list archived-list hidden" id="archived-lesson-list"></ul>
+    if (this.ai.isLocked()) {
+      el.innerHTML = `
+        <p class="hint">Your API keys are encrypted. Enter your passphrase to use them.</p>
+        <div class="input-group mt-2">
+          <label for="passphrase-input">Passphrase</label>
+          <input type="password" id="passphrase-input" autocomplete="current-password">
+        </div>
+        <div style="display:flex;gap:12px">
+          <button class="btn btn-sm btn-primary" id="unlock-keys-btn">Unlock</button>
+          <button class="btn btn-sm btn-ghost" id="forget-keys-btn">Forgot passphrase</button>
         </div>
       `;
+      const unlock = async () => {
+        try {
+          await this.ai.unlockKeys($('#passphrase-input').value);
+        } catch (e) {
+          toast(e.message);
+          return;
+        }
+        toast('API keys unlocked');
+        this.renderSettings();
+      };
+      $('#unlock-keys-btn').addEventListener('click', unlock);
+      $('#passphrase-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') unlock();
+      });
+      $('#forget-keys-btn').addEventListener('click', () => {
+        if (!confirm('Delete the encrypted API keys? You will need to enter them again.')) return;
+        this.ai.forgetKeys();
+        this.renderSettings();
+      });
+      return;
     }
 
-    html += '</div>';
+    el.innerHTML = `
+      <p class="hint">Your API keys are encrypted and unlocked until the app is closed.</p>
+      <div class="mt-2" style="display:flex;gap:12px">
+        <button class="btn btn-sm btn-ghost" id="lock-keys-btn">Lock now</button>
+        <button class="btn btn-sm btn-ghost" id="decrypt-keys-btn">Turn off encryption</button>
+      </div>
+    `;
+    $('#lock-keys-btn').addEventListener('click', () => {
+      this.ai.lockKeys();
+      this.renderSettings();
+    });
+    $('#decrypt-keys-btn').addEventListener('click', () => {
+      if (!confirm('Store your API keys without encryption?')) return;
+      this.ai.decryptKeys();
+      toast('Encryption turned off');
+      this.renderSettings();
+    });
+  }
+
+  /**
+   * Model override fields, one per task class. Empty fields use the default
+   * shown as the placeholder.
+   */
+  modelFieldsHtml(id, config) {
+    const defaults = this.ai.defaultModels(id, config);
+    const tasks = Object.entries(MODEL_TASKS)
+      .filter(([task]) => task !== 'transcription' || id === 'gemini');
+    return `
+      <p class="hint">Models per task. Leave empty to use the default shown.</p>
+      ${tasks.map(([task, label]) => `
+        <div class="input-group">
+          <label for="model-${task}-input">${label}</label>
+          <input type="text" id="model-${task}-input" list="model-list" placeholder="${escapeHtml(defaults[task])}"
+            value="${escapeHtml(config.models?.[task])}">
+        </div>
+      `).join('')}
+      <datalist id="model-list"></datalist>
+      <p class="hint" id="model-status"></p>
+    `;
+  }
+
+  /**
+   * Offer the models the key can use in the model fields, and flag routed
+   * models that aren't among them.
+   */
+  renderModelList(models) {
+    const status = $('#model-status');
+    if (!status || $('#provider-select').value !== this.ai.getProviderId()) return;
+
+    $('#model-list').innerHTML = models.map(m => `<option value="${escapeHtml(m)}">`).join('');
+    if (models.length === 0) {
+      status.textContent = 'This provider did not list its models.';
+      return;
+    }
+
+    const missing = Object.keys(MODEL_TASKS)
+      .filter(task => $(`#model-${task}-input`))
+      .map(task => this.ai.provider.modelFor(task))
+      .filter((model, i, all) => !models.includes(model) && all.indexOf(model) === i);
+    status.textContent = `${models.length} model${models.length === 1 ? '' : 's'} available to this key.` +
+      (missing.length ? ` Not available: ${missing.join(', ')}.` : '');
+  }
+
+  // --- Lessons Tab ---
+
+  renderLessonsTab() {
+    const allLessons = this.loadHistory('lc_lessons');
+    const lessons = allLessons.filter(l => !l.archived);
+    const archived = allLessons.filter(l => l.archived);
+
+    let html = `
+      <div class="header">
+        <div style="width:40px"></div>
+        <h1>Lessons</h1>
+        <button class="header-btn settings-btn" onclick="location.hash='#settings'"></button>
+      </div>
+      <div style="padding:16px">
+    `;
+
+    if (this.ai.isLocked()) {
+      html += `
+        <div class="card mb-2" style="border-color:var(--warning)">
+          <p style="color:var(--warning);font-weight:600;margin-bottom:4px">API Keys Locked</p>
+          <p style="font-size:0.875rem">Your API key is encrypted. Unlock it to use AI features.</p>
+          <button class="btn btn-sm btn-secondary mt-1 unlock-keys-btn">Unlock</button>
+        </div>
+      `;
+    } else if (!this.ai.isConfigured()) {
+      html += `
+        <div class="card mb-2" style="border-color:var(--warning)">
+          <p style="color:var(--warning);font-weight:600;margin-bottom:4px">Setup Required</p>
+          <p style="font-size:0.875rem">Set up an AI provider in
+            <a href="#settings" style="color:var(--gold)">Settings</a>.</p>
+        </div>
+      `;
+    }
+
+    html += `
+      <button class="quick-start-btn" id="quick-start-lesson-btn">
+        <span>&#9889;</span> Start Lesson Now
+      </button>
+      <button class="new-session-btn" id="new-lesson-btn">+ Plan New Lesson</button>
+    `;
+
+    if (lessons.length > 0) {
+      html += '<div class="label">Past Lessons</div><ul class="session-list" id="lesson-list"></ul>';
+    } else if (archived.length === 0) {
+      html += `
+        <div class="empty-state">
+          <div class="icon">&#128218;</div>
+          <p>No lessons yet.</p>
+        </div>
+      `;
+    }
+
+    if (archived.length > 0) {
+      html += `
+        <div class="archive-section">
+          <button class="archive-toggle" id="toggle-archived-lessons">
+            <span>&#128193;</span> Archived (${archived.length})
+          </button>
+          <ul class="session-list archived-list hidden" id="archived-lesson-list"></ul>
+        </div>
+      `;
+    }
+
+    html += '</div>';
 
     $('#screen-lessons').innerHTML = html;
     showScreen('screen-lessons');
 
-    $('#quick-start-lesson-btn').addEventListener('click', () => {
+    $('#screen-lessons .unlock-keys-btn')?.addEventListener('click', async () => {
+      if (await this.unlockKeysDialog()) this.renderLessonsTab();
+    });
+
+    $('#quick-start-lesson-btn').addEventListener('click', async () => {
+      await this.unlockKeysDialog('Start without AI');
       this.currentEntry = {
         id: Date.now().toString(),
         title: 'Quick Lesson',
         content: '',
+        language: this.defaultLanguage(),
         createdAt: new Date().toISOString()
       };
       this.blocks = [];
+      this.chatMessages = [];
       this.hasNoPlan = true;
       location.hash = '#lesson-live';
     });
@@ -453,6 +1234,7 @@ class App {
         id: Date.now().toString(),
         title: '',
         content: '',
+        language: this.defaultLanguage(),
         createdAt: new Date().toISOString()
       };
       this.blocks = [];
@@ -471,7 +1253,7 @@ class App {
           (l) => {
             this.currentEntry = { ...l };
             this.blocks = l.blocks || [];
-            this.chatMessages = [];
+            this.chatMessages = l.chatMessages || [];
             this.hasNoPlan = false;
             location.hash = '#lesson-prep';
           },
@@ -491,7 +1273,7 @@ class App {
           (l) => {
             this.currentEntry = { ...l };
             this.blocks = l.blocks || [];
-            this.chatMessages = [];
+            this.chatMessages = l.chatMessages || [];
             this.hasNoPlan = false;
             location.hash = '#lesson-prep';
           },
@@ -549,11 +1331,19 @@ class App {
       <div style="padding:16px">
     `;
 
-    if (!this.ai.hasApiKey()) {
+    if (this.ai.isLocked()) {
+      html += `
+        <div class="card mb-2" style="border-color:var(--warning)">
+          <p style="color:var(--warning);font-weight:600;margin-bottom:4px">API Keys Locked</p>
+          <p style="font-size:0.875rem">Your API key is encrypted. Unlock it to use AI features.</p>
+          <button class="btn btn-sm btn-secondary mt-1 unlock-keys-btn">Unlock</button>
+        </div>
+      `;
+    } else if (!this.ai.isConfigured()) {
       html += `
         <div class="card mb-2" style="border-color:var(--warning)">
           <p style="color:var(--warning);font-weight:600;margin-bottom:4px">Setup Required</p>
-          <p style="font-size:0.875rem">Add your Gemini API key in
+          <p style="font-size:0.875rem">Set up an AI provider in
             <a href="#settings" style="color:var(--gold)">Settings</a>.</p>
         </div>
       `;
@@ -593,15 +1383,22 @@ class App {
     $('#screen-talks').innerHTML = html;
     showScreen('screen-talks');
 
-    $('#quick-start-talk-btn').addEventListener('click', () => {
+    $('#screen-talks .unlock-keys-btn')?.addEventListener('click', async () => {
+      if (await this.unlockKeysDialog()) this.renderTalksTab();
+    });
+
+    $('#quick-start-talk-btn').addEventListener('click', async () => {
+      await this.unlockKeysDialog('Start without AI');
       this.currentEntry = {
         id: Date.now().toString(),
         topic: 'Quick Talk',
         scriptures: '',
         content: '',
+        language: this.defaultLanguage(),
         createdAt: new Date().toISOString()
       };
       this.blocks = [];
+      this.chatMessages = [];
       this.hasNoPlan = true;
       location.hash = '#talk-live';
     });
@@ -612,6 +1409,7 @@ class App {
         topic: '',
         scriptures: '',
         content: '',
+        language: this.defaultLanguage(),
         createdAt: new Date().toISOString()
       };
       this.blocks = [];
@@ -630,7 +1428,7 @@ class App {
           (t) => {
             this.currentEntry = { ...t };
             this.blocks = t.blocks || [];
-            this.chatMessages = [];
+            this.chatMessages = t.chatMessages || [];
             this.hasNoPlan = false;
             location.hash = '#talk-prep';
           },
@@ -650,7 +1448,7 @@ class App {
           (t) => {
             this.currentEntry = { ...t };
             this.blocks = t.blocks || [];
-            this.chatMessages = [];
+            this.chatMessages = t.chatMessages || [];
             this.hasNoPlan = false;
             location.hash = '#talk-prep';
           },
@@ -682,6 +1480,13 @@ class App {
       if (block.notes) {
         text += `   Notes: ${block.notes}\n`;
       }
+      if (block.verseText) {
+        const label = [block.translation, block.verseSource === 'ai' ? 'AI-provided text' : ''].filter(Boolean).join(', ');
+        text += `   "${block.verseText}"${label ? ` (${label})` : ''}\n`;
+      }
+      if (block.highlight) {
+        text += `   Highlight: ${block.highlight}\n`;
+      }
       if (block.detail) {
         text += `   ${block.detail}\n`;
       }
@@ -718,16 +1523,26 @@ class App {
             <input type="text" id="lesson-title-input" placeholder="e.g. 'Faith in Uncertain Times'"
               value="${entry.title || ''}">
           </div>
+          ${this.languageSelectHtml()}
           <div class="input-group">
             <label for="lesson-url-input">Conference Talk URL (optional)</label>
             <div class="url-input-row">
               <input type="url" id="lesson-url-input" placeholder="Paste churchofjesuschrist.org URL...">
-              <button class="btn btn-sm" id="fetch-url-btn" ${!this.ai.hasApiKey() ? 'disabled' : ''}>Fetch</button>
+              <button class="btn btn-sm" id="fetch-url-btn">Fetch</button>
+            </div>
+          </div>
+          <div class="input-group">
+            <label for="import-file-input">Import a file (optional)</label>
+            <div class="import-drop">
+              <button class="btn btn-sm" id="import-file-btn">Choose file</button>
+              <span class="hint">or drop a .txt, .md, .html, .docx or PDF file here</span>
+              <input type="file" id="import-file-input" accept="${IMPORT_ACCEPT}" hidden>
             </div>
           </div>
           <div class="input-group">
             <label for="lesson-content-input">Content / Notes</label>
             <textarea id="lesson-content-input" placeholder="Paste talk content, scriptures, or notes...">${entry.content || ''}</textarea>
+            <button class="btn btn-sm btn-ghost mt-1" id="blocks-from-notes-btn">Make blocks from headings &amp; lists</button>
           </div>
         </div>
 
@@ -738,6 +1553,7 @@ class App {
               <span class="time-value">--</span> min
             </div>
           </div>
+          ${this.draftOutlineHtml()}
           <div class="engagement-toggle" id="engagement-toggle">
             <button class="engagement-option ${this.engagementLevel === 'quiet' ? 'selected' : ''}" data-level="quiet">Quiet</button>
             <button class="engagement-option ${this.engagementLevel === 'moderate' ? 'selected' : ''}" data-level="moderate">Moderate</button>
@@ -751,7 +1567,7 @@ class App {
             <button class="add-block-btn" data-type="note">+ Note</button>
           </div>
           <div id="undo-bar" class="undo-bar hidden">
-            <span>Block deleted</span>
+            <span id="undo-label">Block deleted</span>
             <button id="undo-btn">Undo</button>
           </div>
           <ul class="block-list" id="block-list"></ul>
@@ -763,8 +1579,8 @@ class App {
           </div>
           <div class="chat-messages" id="chat-messages"></div>
           <div class="chat-input-row">
-            <input type="text" id="chat-input" placeholder="Ask AI to help plan your lesson..." ${!this.ai.hasApiKey() ? 'disabled' : ''}>
-            <button class="btn btn-primary btn-sm" id="chat-send-btn" ${!this.ai.hasApiKey() ? 'disabled' : ''}>Send</button>
+            <input type="text" id="chat-input" placeholder="Ask AI to help plan your lesson..." ${!this.aiAvailable() ? 'disabled' : ''}>
+            <button class="btn btn-primary btn-sm" id="chat-send-btn" ${!this.aiAvailable() ? 'disabled' : ''}>Send</button>
           </div>
         </div>
 
@@ -790,16 +1606,7 @@ class App {
     $('#export-btn').addEventListener('click', () => this.exportOutline());
 
     // Undo
-    $('#undo-btn').addEventListener('click', () => {
-      if (this.deletedBlock) {
-        this.blocks.splice(this.deletedBlock.index, 0, this.deletedBlock.block);
-        this.deletedBlock = null;
-        $('#undo-bar').classList.add('hidden');
-        this.renderBlocks();
-        this.renderTimeEstimate();
-        this.savePrep();
-      }
-    });
+    $('#undo-btn').addEventListener('click', () => this.undoBlocks());
 
     // Auto-save title/content on blur
     $('#lesson-title-input').addEventListener('blur', () => {
@@ -807,6 +1614,8 @@ class App {
       this.savePrep();
     });
 
+    this.bindLanguageSelect();
+
     $('#lesson-content-input').addEventListener('blur', () => {
       this.currentEntry.content = $('#lesson-content-input').value.trim();
       this.savePrep();
@@ -835,7 +1644,7 @@ class App {
       btn.textContent = '...';
 
       try {
-        const result = await this.ai.fetchUrlContent(url);
+        const result = await this.ai.fetchUrlContent(url, { mode: this.mode, signal: this.requestAbort.signal });
         if (result.success) {
           if (result.title && !$('#lesson-title-input').value.trim()) {
             $('#lesson-title-input').value = result.title;
@@ -845,11 +1654,12 @@ class App {
             $('#lesson-content-input').value = result.content;
             this.currentEntry.content = result.content;
           }
-          toast('Content loaded');
+          toast(result.condensed ? 'Content loaded (long page condensed by AI)' : 'Content loaded');
         } else {
           toast(result.error || 'Could not fetch URL');
         }
       } catch (e) {
+        if (isAbortError(e)) return;
         toast(e.message);
       }
 
@@ -857,6 +1667,9 @@ class App {
       btn.textContent = 'Fetch';
     });
 
+    this.bindImport();
+    this.bindOutlineDraft();
+
     // Add block buttons
     document.querySelectorAll('.add-block-btn').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -869,15 +1682,25 @@ class App {
     const sendChat = async () => {
       const input = $('#chat-input');
       const message = input.value.trim();
-      if (!message) return;
+      if (!message || !(await this.unlockKeysDialog())) return;
 
       input.value = '';
+      const history = this.chatHistory();
       this.chatMessages.push({ role: 'user', text: message });
       this.renderChatMessages();
 
-      this.chatMessages.push({ role: 'assistant', text: '...', typing: true });
+      const pending = { role: 'assistant', text: '...', typing: true, streaming: true };
+      this.chatMessages.push(pending);
       this.renderChatMessages();
 
+      // Stream the reply text into the pending bubble
+      const onProgress = (partial) => {
+        if (!partial.reply) return;
+        pending.text = partial.reply;
+        pending.typing = false;
+        this.renderChatMessages();
+      };
+
       try {
         const title = $('#lesson-title-input').value.trim();
         const content = $('#lesson-content-input').value.trim();
@@ -887,22 +1710,25 @@ class App {
         const result = await this.ai.chatPlanLesson(message, this.blocks, {
           title: this.currentEntry.title,
           content: this.currentEntry.content
-        });
+        }, { history, onProgress, signal: this.requestAbort.signal });
 
-        this.chatMessages = this.chatMessages.filter(m => !m.typing);
-        this.chatMessages.push({ role: 'assistant', text: result.reply });
+        this.chatMessages = this.chatMessages.filter(m => m !== pending);
+        this.chatMessages.push({
+          role: 'assistant',
+          text: result.reply,
+          ...(result.blocksChanged && result.blocks ? { blocks: result.blocks } : {})
+        });
 
         if (result.blocksChanged && result.blocks) {
-          this.blocks = result.blocks;
-          this.renderBlocks();
-          this.renderTimeEstimate();
-          this.savePrep();
+          this.proposeBlocks(result.blocks);
         }
 
+        this.savePrep();
         this.renderChatMessages();
       } catch (e) {
-        this.chatMessages = this.chatMessages.filter(m => !m.typing);
-        this.chatMessages.push({ role: 'assistant', text: 'Sorry, I had trouble with that. Try again?' });
+        if (isAbortError(e)) return;
+        this.chatMessages = this.chatMessages.filter(m => m !== pending);
+        this.chatMessages.push({ role: 'assistant', text: `Sorry, I had trouble with that: ${e.message}`, error: true });
         this.renderChatMessages();
       }
     };
@@ -925,7 +1751,8 @@ class App {
     });
 
     // Start lesson
-    $('#start-lesson-btn').addEventListener('click', () => {
+    $('#start-lesson-btn').addEventListener('click', async () => {
+      await this.unlockKeysDialog('Start without AI');
       this.currentEntry.title = $('#lesson-title-input').value.trim() || this.currentEntry.title || 'Lesson';
       this.currentEntry.content = $('#lesson-content-input').value.trim();
       this.currentBlockIndex = 0;
@@ -971,16 +1798,26 @@ class App {
               <button class="duration-option ${this.talkDuration === 20 ? 'selected' : ''}" data-duration="20">20+ min</button>
             </div>
           </div>
+          ${this.languageSelectHtml()}
           <div class="input-group">
             <label for="talk-url-input">Conference Talk URL (optional)</label>
             <div class="url-input-row">
               <input type="url" id="talk-url-input" placeholder="Paste URL for reference material...">
-              <button class="btn btn-sm" id="fetch-talk-url-btn" ${!this.ai.hasApiKey() ? 'disabled' : ''}>Fetch</button>
+              <button class="btn btn-sm" id="fetch-talk-url-btn">Fetch</button>
+            </div>
+          </div>
+          <div class="input-group">
+            <label for="import-file-input">Import a file (optional)</label>
+            <div class="import-drop">
+              <button class="btn btn-sm" id="import-file-btn">Choose file</button>
+              <span class="hint">or drop a .txt, .md, .html, .docx or PDF file here</span>
+              <input type="file" id="import-file-input" accept="${IMPORT_ACCEPT}" hidden>
             </div>
           </div>
           <div class="input-group">
             <label for="talk-content-input">Notes / Draft</label>
             <textarea id="talk-content-input" placeholder="Add notes or a draft...">${entry.content || ''}</textarea>
+            <button class="btn btn-sm btn-ghost mt-1" id="blocks-from-notes-btn">Make blocks from headings &amp; lists</button>
           </div>
         </div>
 
@@ -991,6 +1828,7 @@ class App {
               <span class="time-value">--</span> min
             </div>
           </div>
+          ${this.draftOutlineHtml()}
           <div class="add-block-row">
             <button class="add-block-btn" data-type="point">+ Point</button>
             <button class="add-block-btn" data-type="scripture">+ Scripture</button>
@@ -998,7 +1836,7 @@ class App {
             <button class="add-block-btn" data-type="note">+ Note</button>
           </div>
           <div id="undo-bar" class="undo-bar hidden">
-            <span>Block deleted</span>
+            <span id="undo-label">Block deleted</span>
             <button id="undo-btn">Undo</button>
           </div>
           <ul class="block-list" id="block-list"></ul>
@@ -1010,8 +1848,8 @@ class App {
           </div>
           <div class="chat-messages" id="chat-messages"></div>
           <div class="chat-input-row">
-            <input type="text" id="chat-input" placeholder="Ask AI to help plan your talk..." ${!this.ai.hasApiKey() ? 'disabled' : ''}>
-            <button class="btn btn-primary btn-sm" id="chat-send-btn" ${!this.ai.hasApiKey() ? 'disabled' : ''}>Send</button>
+            <input type="text" id="chat-input" placeholder="Ask AI to help plan your talk..." ${!this.aiAvailable() ? 'disabled' : ''}>
+            <button class="btn btn-primary btn-sm" id="chat-send-btn" ${!this.aiAvailable() ? 'disabled' : ''}>Send</button>
           </div>
         </div>
 
@@ -1037,16 +1875,7 @@ class App {
     $('#export-btn').addEventListener('click', () => this.exportOutline());
 
     // Undo
-    $('#undo-btn').addEventListener('click', () => {
-      if (this.deletedBlock) {
-        this.blocks.splice(this.deletedBlock.index, 0, this.deletedBlock.block);
-        this.deletedBlock = null;
-        $('#undo-bar').classList.add('hidden');
-        this.renderBlocks();
-        this.renderTimeEstimate();
-        this.savePrep();
-      }
-    });
+    $('#undo-btn').addEventListener('click', () => this.undoBlocks());
 
     // Auto-save topic/content on blur
     $('#talk-topic-input').addEventListener('blur', () => {
@@ -1068,6 +1897,8 @@ class App {
       });
     });
 
+    this.bindLanguageSelect();
+
     // Fetch URL
     $('#fetch-talk-url-btn').addEventListener('click', async () => {
       const url = $('#talk-url-input').value.trim();
@@ -1081,7 +1912,7 @@ class App {
       btn.textContent = '...';
 
       try {
-        const result = await this.ai.fetchUrlContent(url);
+        const result = await this.ai.fetchUrlContent(url, { mode: this.mode, signal: this.requestAbort.signal });
         if (result.success) {
           if (result.content) {
             const existing = $('#talk-content-input').value.trim();
@@ -1089,11 +1920,12 @@ class App {
             $('#talk-content-input').value = newContent;
             this.currentEntry.content = newContent;
           }
-          toast('Content loaded');
+          toast(result.condensed ? 'Content loaded (long page condensed by AI)' : 'Content loaded');
         } else {
           toast(result.error || 'Could not fetch URL');
         }
       } catch (e) {
+        if (isAbortError(e)) return;
         toast(e.message);
       }
 
@@ -1101,6 +1933,9 @@ class App {
       btn.textContent = 'Fetch';
     });
 
+    this.bindImport();
+    this.bindOutlineDraft();
+
     // Add block buttons
     document.querySelectorAll('.add-block-btn').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -1113,15 +1948,25 @@ class App {
     const sendChat = async () => {
       const input = $('#chat-input');
       const message = input.value.trim();
-      if (!message) return;
+      if (!message || !(await this.unlockKeysDialog())) return;
 
       input.value = '';
+      const history = this.chatHistory();
       this.chatMessages.push({ role: 'user', text: message });
       this.renderChatMessages();
 
-      this.chatMessages.push({ role: 'assistant', text: '...', typing: true });
+      const pending = { role: 'assistant', text: '...', typing: true, streaming: true };
+      this.chatMessages.push(pending);
       this.renderChatMessages();
 
+      // Stream the reply text into the pending bubble
+      const onProgress = (partial) => {
+        if (!partial.reply) return;
+        pending.text = partial.reply;
+        pending.typing = false;
+        this.renderChatMessages();
+      };
+
       try {
         const topic = $('#talk-topic-input').value.trim();
         const scriptures = $('#talk-scriptures-input').value.trim();
@@ -1135,22 +1980,25 @@ class App {
           scriptures: this.currentEntry.scriptures,
           content: this.currentEntry.content,
           duration: this.talkDuration
-        });
+        }, { history, onProgress, signal: this.requestAbort.signal });
 
-        this.chatMessages = this.chatMessages.filter(m => !m.typing);
-        this.chatMessages.push({ role: 'assistant', text: result.reply });
+        this.chatMessages = this.chatMessages.filter(m => m !== pending);
+        this.chatMessages.push({
+          role: 'assistant',
+          text: result.reply,
+          ...(result.blocksChanged && result.blocks ? { blocks: result.blocks } : {})
+        });
 
         if (result.blocksChanged && result.blocks) {
-          this.blocks = result.blocks;
-          this.renderBlocks();
-          this.renderTimeEstimate();
-          this.savePrep();
+          this.proposeBlocks(result.blocks);
         }
 
+        this.savePrep();
         this.renderChatMessages();
       } catch (e) {
-        this.chatMessages = this.chatMessages.filter(m => !m.typing);
-        this.chatMessages.push({ role: 'assistant', text: 'Sorry, I had trouble with that. Try again?' });
+        if (isAbortError(e)) return;
+        this.chatMessages = this.chatMessages.filter(m => m !== pending);
+        this.chatMessages.push({ role: 'assistant', text: `Sorry, I had trouble with that: ${e.message}`, error: true });
         this.renderChatMessages();
       }
     };
@@ -1174,7 +2022,8 @@ class App {
     });
 
     // Start talk
-    $('#start-talk-btn').addEventListener('click', () => {
+    $('#start-talk-btn').addEventListener('click', async () => {
+      await this.unlockKeysDialog('Start without AI');
       this.currentEntry.topic = $('#talk-topic-input').value.trim() || this.currentEntry.topic || 'Talk';
       this.currentEntry.scriptures = $('#talk-scriptures-input').value.trim();
       this.currentEntry.content = $('#talk-content-input').value.trim();
@@ -1186,6 +2035,21 @@ class App {
 
   // --- Chat Messages ---
 
+  /**
+   * Chat messages worth keeping: no typing bubbles or half-streamed replies.
+   */
+  savedChatMessages() {
+    return this.chatMessages.filter(m => !m.typing && !m.streaming).slice(-40);
+  }
+
+  /**
+   * Earlier turns to send with the next planning message. Error bubbles are
+   * ours, not the model's, so they stay out of the conversation.
+   */
+  chatHistory() {
+    return this.savedChatMessages().filter(m => !m.error).slice(-12);
+  }
+
   renderChatMessages() {
     const el = $('#chat-messages');
     if (!el) return;
@@ -1217,11 +2081,16 @@ class App {
       note: 'Note'
     };
 
+    if (this.outlineProposal) {
+      toast('Review the suggested changes first');
+      return;
+    }
+
     const content = prompt(`Enter ${typeLabels[type]}:`);
     if (content?.trim()) {
       this.blocks.push({
         type,
-        content: content.trim(),
+        content: this.blockContent(type, content),
         detail: '',
         notes: ''
       });
@@ -1231,12 +2100,27 @@ class App {
     }
   }
 
+  /**
+   * Block content as saved. Scripture blocks get their references in display
+   * form, with a warning when none is recognized.
+   */
+  blockContent(type, text) {
+    if (type !== 'scripture') return text.trim();
+    if (!parseReference(text)) toast('Not a recognized scripture reference');
+    return formatReferences(text.trim(), { anyCase: true });
+  }
+
   renderBlocks() {
     const list = $('#block-list');
     if (!list) return;
 
     list.innerHTML = '';
 
+    if (this.outlineProposal) {
+      this.renderOutlineProposal(list);
+      return;
+    }
+
     if (this.blocks.length === 0) {
       list.innerHTML = '<p class="text-muted text-center" style="padding:20px">No blocks yet. Add manually or chat with AI.</p>';
       return;
@@ -1255,18 +2139,20 @@ class App {
           <div class="prep-block-edit">
             <div class="prep-block-header">
               <span class="drag-handle">&#9776;</span>
-              <span class="block-type-badge">${block.type}</span>
+              <span class="block-type-badge">${escapeHtml(block.type)}</span>
               <button class="delete-btn" title="Delete">&times;</button>
             </div>
             <div class="input-group">
               <label>Content</label>
-              <input type="text" class="block-content-input" value="${block.content}">
+              <input type="text" class="block-content-input" value="${escapeHtml(block.content)}">
             </div>
             <div class="input-group">
               <label>Your Notes / Script</label>
-              <textarea class="block-notes-input" placeholder="What you want to say...">${block.notes || ''}</textarea>
+              <textarea class="block-notes-input" placeholder="What you want to say...">${escapeHtml(block.notes)}</textarea>
             </div>
-            ${block.detail ? `<div class="block-ai-detail">${block.detail}</div>` : ''}
+            ${block.detail ? `<div class="block-ai-detail">${escapeHtml(block.detail)}</div>` : ''}
+            ${block.type === 'scripture' ? this.versePickerHtml(block) : ''}
+            ${this.blockActionsHtml(block)}
             <div class="prep-block-actions">
               <button class="btn btn-sm btn-ghost cancel-btn">Cancel</button>
               <button class="btn btn-sm btn-primary save-btn">Save</button>
@@ -1279,98 +2165,731 @@ class App {
           <div class="prep-block-display">
             <div class="prep-block-header">
               <span class="drag-handle">&#9776;</span>
-              <span class="block-type-badge">${block.type}</span>
+              <span class="block-type-badge">${escapeHtml(block.type)}</span>
               <button class="delete-btn" title="Delete">&times;</button>
             </div>
-            <div class="block-content">${block.content}</div>
-            ${block.notes ? `<div class="block-notes-visible">${block.notes}</div>` : ''}
-            ${block.detail ? `<div class="block-detail">${block.detail}</div>` : ''}
+            <div class="block-content">${escapeHtml(block.content)}</div>
+            ${block.type === 'scripture' && !parseReference(block.content) ? '<div class="block-warning">Not a recognized scripture reference</div>' : ''}
+            ${block.verseText ? `<div class="block-verse">${markHighlight(block.verseText, block.highlight)}</div>` : ''}
+            ${block.notes ? `<div class="block-notes-visible">${escapeHtml(block.notes)}</div>` : ''}
+            ${block.detail ? `<div class="block-detail">${escapeHtml(block.detail)}</div>` : ''}
           </div>
         `;
       }
 
-      // Drag events
-      item.addEventListener('dragstart', (e) => {
-        this.draggedBlockIndex = i;
-        item.classList.add('dragging');
-        e.dataTransfer.effectAllowed = 'move';
-      });
+      // Drag events
+      item.addEventListener('dragstart', (e) => {
+        this.draggedBlockIndex = i;
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+      });
+
+      item.addEventListener('dragend', () => {
+        item.classList.remove('dragging');
+        this.draggedBlockIndex = null;
+        document.querySelectorAll('.prep-block-tile.drag-over').forEach(el => el.classList.remove('drag-over'));
+      });
+
+      item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        if (this.draggedBlockIndex !== null && this.draggedBlockIndex !== i) {
+          item.classList.add('drag-over');
+        }
+      });
+
+      item.addEventListener('dragleave', () => {
+        item.classList.remove('drag-over');
+      });
+
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        item.classList.remove('drag-over');
+        if (this.draggedBlockIndex !== null && this.draggedBlockIndex !== i) {
+          const draggedBlock = this.blocks.splice(this.draggedBlockIndex, 1)[0];
+          this.blocks.splice(i, 0, draggedBlock);
+          this.expandedBlockIndex = null;
+          this.renderBlocks();
+          this.savePrep();
+        }
+      });
+
+      // Delete button
+      item.querySelector('.delete-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.saveUndo('Block deleted');
+        this.blocks.splice(i, 1);
+        this.expandedBlockIndex = null;
+        this.renderBlocks();
+        this.renderTimeEstimate();
+        this.savePrep();
+      });
+
+      if (isExpanded) {
+        // Cancel edit
+        item.querySelector('.cancel-btn').addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.expandedBlockIndex = null;
+          this.renderBlocks();
+        });
+
+        if (block.type === 'scripture') this.bindVersePicker(item, block);
+
+        // AI actions work on the block as currently edited
+        item.querySelectorAll('.block-action-btn').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            block.content = item.querySelector('.block-content-input').value.trim() || block.content;
+            block.notes = item.querySelector('.block-notes-input').value.trim();
+            if (block.type === 'scripture') this.commitVersePicker(item, block);
+            this.runBlockAction(block, btn.dataset.action, btn);
+          });
+        });
+
+        // Save edit
+        item.querySelector('.save-btn').addEventListener('click', (e) => {
+          e.stopPropagation();
+          const content = item.querySelector('.block-content-input').value;
+          if (content.trim()) block.content = this.blockContent(block.type, content);
+          block.notes = item.querySelector('.block-notes-input').value.trim();
+          if (block.type === 'scripture') this.commitVersePicker(item, block);
+          this.expandedBlockIndex = null;
+          this.renderBlocks();
+          this.savePrep();
+        });
+      } else {
+        // Click to edit (on display area, not drag handle)
+        item.querySelector('.prep-block-display').addEventListener('click', (e) => {
+          if (e.target.closest('.drag-handle') || e.target.closest('.delete-btn')) return;
+          this.expandedBlockIndex = i;
+          this.renderBlocks();
+        });
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Verse picker for a scripture block: the chapter's verses from the
+   * library to choose from, and the verse text, translation and highlighted
+   * phrase the block keeps.
+   */
+  versePickerHtml(block) {
+    return `
+      <div class="verse-picker" data-source="${block.verseSource || ''}">
+        <div class="verse-options"></div>
+        <div class="input-group">
+          <label>Verse Text</label>
+          <textarea class="block-verse-input" placeholder="Look up the verse or paste it here">${escapeHtml(block.verseText)}</textarea>
+          <div class="verse-source"${block.verseSource === 'ai' ? '' : ' hidden'}>AI-provided text. Check the wording.</div>
+        </div>
+        <div class="verse-picker-row">
+          <div class="input-group">
+            <label>Translation</label>
+            <input type="text" class="block-translation-input" list="translation-options" value="${escapeHtml(block.translation)}" placeholder="e.g. KJV">
+            <datalist id="translation-options">${TRANSLATIONS.map(t => `<option value="${t}">`).join('')}</datalist>
+          </div>
+          <div class="input-group">
+            <label>Highlight</label>
+            <input type="text" class="block-highlight-input" value="${escapeHtml(block.highlight)}" placeholder="Phrase to emphasize">
+          </div>
+        </div>
+        <button class="btn btn-sm btn-ghost verse-lookup-btn">&#128214; Look up verse</button>
+      </div>
+    `;
+  }
+
+  bindVersePicker(item, block) {
+    const picker = item.querySelector('.verse-picker');
+    const contentInput = item.querySelector('.block-content-input');
+    const verseInput = item.querySelector('.block-verse-input');
+    const options = item.querySelector('.verse-options');
+    let current = parseReference(block.content);
+
+    const translationInput = item.querySelector('.block-translation-input');
+    const setVerse = (text, source) => {
+      verseInput.value = text;
+      picker.dataset.source = text ? source : '';
+      picker.querySelector('.verse-source').hidden = !text || source !== 'ai';
+      if (text && source === 'library' && !translationInput.value) translationInput.value = this.libraryTranslation();
+    };
+
+    // The reference's chapter from the library; tapping verses changes the reference
+    const showChapter = async (reference) => {
+      options.innerHTML = '';
+      if (!reference) return;
+      let chapter = null;
+      try {
+        chapter = await this.library.lookup({ ...reference, verses: [] });
+      } catch (e) {
+        console.warn('Scripture library error:', e);
+      }
+      if (!chapter || !item.isConnected) return;
+
+      const chosen = new Set(reference.verses.flatMap(([start, end]) =>
+        Array.from({ length: end - start + 1 }, (_, k) => start + k)
+      ));
+      options.innerHTML = chapter.verses.map(v => `
+        <button class="verse-option${chosen.has(v.verse) ? ' selected' : ''}" data-verse="${v.verse}"><sup>${v.verse}</sup> ${escapeHtml(v.text)}</button>
+      `).join('');
+      options.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+
+      const texts = new Map(chapter.verses.map(v => [v.verse, v.text]));
+      options.querySelectorAll('.verse-option').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          btn.classList.toggle('selected');
+          const picked = [...options.querySelectorAll('.verse-option.selected')].map(b => Number(b.dataset.verse));
+          current = { book: reference.book, chapter: reference.chapter, verses: verseRanges(picked) };
+          contentInput.value = formatReference(current);
+          setVerse(picked.map(n => texts.get(n)).join(' '), 'library');
+        });
+      });
+    };
+
+    showChapter(current);
+    if (!block.verseText) {
+      this.library.lookup(current)
+        .then(verse => { if (verse && !verseInput.value) setVerse(verse.text, 'library'); })
+        .catch(e => console.warn('Scripture library error:', e));
+    }
+
+    // A new reference gets its own verses, or none until looked up
+    contentInput.addEventListener('change', async () => {
+      const changed = parseReference(contentInput.value);
+      if (changed && current && formatReference(changed) === formatReference(current)) return;
+      current = changed;
+      showChapter(changed);
+      const verse = await this.library.lookup(changed).catch(() => null);
+      setVerse(verse?.text || '', 'library');
+    });
+
+    item.querySelector('.verse-lookup-btn').addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const wanted = parseReference(contentInput.value);
+      if (!wanted) {
+        toast('Not a recognized scripture reference');
+        return;
+      }
+      const btn = e.currentTarget;
+      btn.disabled = true;
+      try {
+        const verse = await this.resolveScripture(wanted);
+        if (verse) {
+          current = wanted;
+          contentInput.value = verse.reference;
+          setVerse(verse.text, verse.source);
+          showChapter(wanted);
+        } else {
+          toast('Not in your scripture library, and no AI provider is set up');
+        }
+      } catch (err) {
+        if (!isAbortError(err)) toast(`Could not lookup scripture: ${err.message}`);
+      }
+      btn.disabled = false;
+    });
+  }
+
+  /**
+   * Copy the verse picker's fields onto the block, dropping empty ones.
+   */
+  commitVersePicker(item, block) {
+    const fields = {
+      verseText: item.querySelector('.block-verse-input').value.trim(),
+      translation: item.querySelector('.block-translation-input').value.trim(),
+      highlight: item.querySelector('.block-highlight-input').value.trim(),
+      verseSource: item.querySelector('.verse-picker').dataset.source
+    };
+    if (!fields.verseText) fields.verseSource = '';
+    for (const [key, value] of Object.entries(fields)) {
+      if (value) {
+        block[key] = value;
+      } else {
+        delete block[key];
+      }
+    }
+    if (fields.highlight && !fields.verseText.toLowerCase().includes(fields.highlight.toLowerCase())) {
+      toast('The highlighted phrase is not in the verse text');
+    }
+  }
+
+  blockActionsHtml(block) {
+    const actions = Object.entries(BLOCK_ACTIONS).filter(([, action]) =>
+      (!action.types || action.types.includes(block.type)) && (!action.modes || action.modes.includes(this.mode))
+    );
+    const disabled = !this.ai.isConfigured() || this.blockActionPending ? 'disabled' : '';
+    return `
+      <div class="block-ai-actions">
+        ${actions.map(([id, action]) => `<button class="btn btn-sm btn-ghost block-action-btn" data-action="${id}" ${disabled}>&#10024; ${action.label}</button>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Apply an AI action to one block as an undoable step. The block is looked
+   * up again afterwards, since the outline can change while the AI works.
+   */
+  async runBlockAction(block, action, btn) {
+    if (this.blockActionPending) return;
+    const spec = BLOCK_ACTIONS[action];
+    this.blockActionPending = action;
+    document.querySelectorAll('.block-action-btn').forEach(b => { b.disabled = true; });
+    btn.textContent = '...';
+
+    const title = this.mode === 'lesson'
+      ? $('#lesson-title-input').value.trim() || this.currentEntry.title
+      : $('#talk-topic-input').value.trim() || this.currentEntry.topic;
+
+    let result;
+    try {
+      result = await this.ai.generateBlockAction(action, block, this.blocks, title, this.mode, { signal: this.requestAbort.signal });
+    } catch (e) {
+      this.blockActionPending = null;
+      if (isAbortError(e)) return;
+      toast(e.message);
+      this.renderBlocks();
+      return;
+    }
+    this.blockActionPending = null;
+
+    const index = this.blocks.indexOf(block);
+    const updates = Object.fromEntries((spec.fields || []).map(field => [field, (result[field] || '').trim()]));
+    const added = spec.adds
+      ? (result.newBlocks || [])
+        .filter(b => b.content?.trim())
+        .slice(0, spec.adds.count)
+        .map(b => ({ type: spec.adds.type, content: b.content.trim(), detail: b.detail || '', notes: '' }))
+      : [];
+
+    if (index < 0 || this.outlineProposal) {
+      toast('The outline changed while the AI was working. Try again.');
+    } else if (spec.fields ? !updates[spec.fields[0]] : added.length === 0) {
+      toast('The AI returned nothing for that block. Try again.');
+    } else {
+      this.saveUndo(spec.done, 10000);
+      Object.assign(block, updates);
+      this.blocks.splice(index + 1, 0, ...added);
+      this.expandedBlockIndex = index;
+      this.savePrep();
+    }
+
+    this.renderBlocks();
+    this.renderTimeEstimate();
+  }
+
+  /**
+   * Remember the outline before a change so the undo bar can restore it.
+   */
+  saveUndo(label, ms = 5000) {
+    const state = { label, blocks: this.blocks.map(b => ({ ...b })) };
+    this.undoState = state;
+    if ($('#undo-label')) $('#undo-label').textContent = label;
+    $('#undo-bar')?.classList.remove('hidden');
+    clearTimeout(this.undoTimeout);
+    this.undoTimeout = setTimeout(() => {
+      if (this.undoState === state) {
+        $('#undo-bar')?.classList.add('hidden');
+        this.undoState = null;
+      }
+    }, ms);
+  }
+
+  undoBlocks() {
+    if (!this.undoState) return;
+    if (this.outlineProposal) {
+      toast('Review the suggested changes first');
+      return;
+    }
+    this.blocks = this.undoState.blocks;
+    this.undoState = null;
+    this.expandedBlockIndex = null;
+    $('#undo-bar')?.classList.add('hidden');
+    this.renderBlocks();
+    this.renderTimeEstimate();
+    this.savePrep();
+  }
+
+  // --- Import ---
+
+  /**
+   * File picker, drag-and-drop and "blocks from notes" for the prep screens.
+   */
+  bindImport() {
+    const input = $('#import-file-input');
+    $('#import-file-btn').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+      if (input.files[0]) this.importSourceFile(input.files[0]);
+      input.value = '';
+    });
+
+    const form = $(`#screen-${this.mode}-prep .entry-form`);
+    form.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      form.classList.add('drag-over');
+    });
+    form.addEventListener('dragleave', (e) => {
+      if (!form.contains(e.relatedTarget)) form.classList.remove('drag-over');
+    });
+    form.addEventListener('drop', (e) => {
+      form.classList.remove('drag-over');
+      if (e.dataTransfer.files.length === 0) return;
+      e.preventDefault();
+      this.importSourceFile(e.dataTransfer.files[0]);
+    });
+
+    $('#blocks-from-notes-btn').addEventListener('click', () => {
+      const { blocks } = importText($(`#${this.mode}-content-input`).value);
+      this.offerImportedBlocks(blocks, 'Notes read');
+    });
+  }
+
+  /**
+   * Add a file's text to the notes and offer its headings and lists as blocks.
+   */
+  async importSourceFile(file) {
+    let result;
+    try {
+      result = await importFile(file);
+    } catch (e) {
+      toast(e.message);
+      return;
+    }
+
+    const contentInput = $(`#${this.mode}-content-input`);
+    const existing = contentInput.value.trim();
+    contentInput.value = existing ? `${existing}\n\n---\n\n${result.text}` : result.text;
+    this.currentEntry.content = contentInput.value;
+
+    const titleInput = $(this.mode === 'lesson' ? '#lesson-title-input' : '#talk-topic-input');
+    if (result.title && !titleInput.value.trim()) {
+      titleInput.value = result.title;
+      this.currentEntry[this.mode === 'lesson' ? 'title' : 'topic'] = result.title;
+    }
+
+    this.savePrep();
+    this.offerImportedBlocks(result.blocks, `Imported ${file.name}`);
+  }
+
+  offerImportedBlocks(blocks, message) {
+    if (blocks.length === 0) {
+      toast(`${message}. No headings or lists to turn into blocks.`);
+      return;
+    }
+    if (this.outlineProposal) {
+      toast(`${message}. Review the pending changes before adding blocks.`);
+      return;
+    }
+    this.proposeBlocks([...this.blocks, ...blocks], 'import');
+    toast(`${message}. Review the suggested blocks.`, 4000);
+  }
+
+  // --- Outline Drafting ---
+
+  draftOutlineHtml() {
+    const mixes = OUTLINE_MIXES[this.mode];
+    return `
+      <div class="draft-outline">
+        <button class="btn btn-sm btn-secondary" id="draft-outline-btn" ${!this.ai.isConfigured() ? 'disabled' : ''}>&#10024; Draft outline from my notes</button>
+        <div class="draft-options hidden" id="draft-options">
+          <div class="draft-option-row">
+            <div class="input-group">
+              <label for="draft-count-input">Blocks</label>
+              <input type="number" id="draft-count-input" min="3" max="15">
+            </div>
+            <div class="input-group">
+              <label for="draft-minutes-input">Target minutes</label>
+              <input type="number" id="draft-minutes-input" min="2" max="90">
+            </div>
+          </div>
+          <div class="input-group">
+            <label for="draft-mix-select">Mix of blocks</label>
+            <select id="draft-mix-select">
+              ${Object.entries(mixes).map(([id, mix]) => `<option value="${id}">${mix.label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="draft-actions">
+            <button class="btn btn-sm btn-ghost" id="draft-cancel-btn">Cancel</button>
+            <button class="btn btn-sm btn-primary" id="draft-generate-btn">Draft</button>
+          </div>
+        </div>
+        <div class="draft-preview hidden" id="draft-preview"></div>
+      </div>
+    `;
+  }
+
+  bindOutlineDraft() {
+    $('#draft-outline-btn').addEventListener('click', () => {
+      const minutes = this.mode === 'talk' ? this.talkDuration : DEFAULT_LESSON_MINUTES;
+      $('#draft-minutes-input').value = minutes;
+      $('#draft-count-input').value = this.mode === 'talk' ? Math.max(3, Math.ceil(minutes / 2)) : 6;
+      $('#draft-outline-btn').classList.add('hidden');
+      $('#draft-options').classList.remove('hidden');
+    });
+    $('#draft-cancel-btn').addEventListener('click', () => this.closeOutlineDraft());
+    $('#draft-generate-btn').addEventListener('click', () => this.draftOutline());
+  }
+
+  closeOutlineDraft() {
+    this.outlineDraft = null;
+    $('#draft-generate-btn').textContent = 'Draft';
+    $('#draft-options').classList.add('hidden');
+    $('#draft-outline-btn').classList.remove('hidden');
+    this.renderOutlineDraft();
+  }
+
+  /**
+   * Ask the model for an outline from the title and notes, to preview
+   * before it is added to the outline.
+   */
+  async draftOutline() {
+    const title = $(this.mode === 'lesson' ? '#lesson-title-input' : '#talk-topic-input').value.trim();
+    const content = $(`#${this.mode}-content-input`).value.trim();
+    if (!title && !content) {
+      toast('Add a title or some notes first');
+      return;
+    }
+
+    const blockCount = Math.min(15, Math.max(3, parseInt($('#draft-count-input').value, 10) || 6));
+    const durationMinutes = Math.min(90, Math.max(2, parseInt($('#draft-minutes-input').value, 10) || DEFAULT_LESSON_MINUTES));
+    const mix = $('#draft-mix-select').value;
+
+    const btn = $('#draft-generate-btn');
+    btn.disabled = true;
+    btn.textContent = 'Drafting...';
+
+    try {
+      const options = { signal: this.requestAbort.signal };
+      const result = this.mode === 'lesson'
+        ? await this.ai.generateLessonBlocks(title, content, { blockCount, mix, durationMinutes }, options)
+        : await this.ai.generateTalkBlocks(title, $('#talk-scriptures-input').value.trim(), content, durationMinutes, { blockCount, mix }, options);
+
+      const blocks = (result.blocks || []).map(b => ({ type: b.type, content: b.content, detail: b.detail || '', notes: '' }));
+      if (blocks.length === 0) {
+        toast('No outline came back. Try again.');
+      } else {
+        this.outlineDraft = { blocks, estimatedMinutes: result.estimatedMinutes || 0, targetMinutes: durationMinutes };
+        this.renderOutlineDraft();
+      }
+    } catch (e) {
+      if (isAbortError(e)) return;
+      toast(e.message);
+    }
+
+    btn.disabled = false;
+    btn.textContent = this.outlineDraft ? 'Draft again' : 'Draft';
+  }
+
+  /**
+   * Timing for a draft by the same per-block estimate as the outline,
+   * checked against the target and the model's own estimatedMinutes.
+   */
+  draftTimingHtml(draft) {
+    const est = this.calculateTimeEstimate(draft.blocks);
+    const target = draft.targetMinutes;
+    const ai = draft.estimatedMinutes;
+
+    let fit = `Fits your ${target} minutes`;
+    if (est.max < target) {
+      fit = `Likely short of your ${target} minutes. Try more blocks.`;
+    } else if (est.min > target) {
+      fit = `Likely runs over your ${target} minutes. Try fewer blocks.`;
+    }
+    const fits = est.min <= target && est.max >= target;
+
+    let aiNote = '';
+    if (ai && ai >= est.min && ai <= est.max) {
+      aiNote = ` &middot; AI estimate ~${ai} min`;
+    } else if (ai) {
+      aiNote = ` &middot; AI estimated ~${ai} min, but the outline timer goes by block type`;
+    }
+
+    const combined = this.blocks.length > 0
+      ? `<div>With your current blocks: ${estimateText(this.calculateTimeEstimate([...this.blocks, ...draft.blocks]))} min</div>`
+      : '';
+
+    return `
+      <div>${estimateText(est)} min${aiNote}</div>
+      <div class="${fits ? 'draft-fit' : 'diff-warning'}">${fit}</div>
+      ${combined}
+    `;
+  }
+
+  renderOutlineDraft() {
+    const preview = $('#draft-preview');
+    if (!preview) return;
+
+    const draft = this.outlineDraft;
+    preview.classList.toggle('hidden', !draft);
+    if (!draft) {
+      preview.innerHTML = '';
+      return;
+    }
+
+    preview.innerHTML = `
+      <ul class="draft-block-list">
+        ${draft.blocks.map(block => `
+          <li class="draft-block type-${escapeHtml(block.type)}">
+            <span class="block-type-badge">${escapeHtml(block.type)}</span>
+            <span class="block-content">${escapeHtml(block.content)}</span>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="draft-timing">${this.draftTimingHtml(draft)}</div>
+      <div class="draft-actions">
+        <button class="btn btn-sm btn-ghost" id="draft-discard-btn">Discard</button>
+        ${this.blocks.length > 0 ? `
+          <button class="btn btn-sm btn-secondary" id="draft-append-btn">Append</button>
+          <button class="btn btn-sm btn-primary" id="draft-replace-btn">Replace outline</button>
+        ` : '<button class="btn btn-sm btn-primary" id="draft-append-btn">Use outline</button>'}
+      </div>
+    `;
+
+    $('#draft-discard-btn').addEventListener('click', () => this.closeOutlineDraft());
+    $('#draft-append-btn').addEventListener('click', () => this.applyOutlineDraft(false));
+    $('#draft-replace-btn')?.addEventListener('click', () => this.applyOutlineDraft(true));
+  }
+
+  /**
+   * Add the previewed draft to the outline, or replace it, as one undoable step.
+   */
+  applyOutlineDraft(replace) {
+    if (!this.outlineDraft) return;
+    if (this.outlineProposal) {
+      toast('Review the suggested changes first');
+      return;
+    }
+
+    const { blocks } = this.outlineDraft;
+    this.saveUndo(replace ? 'Outline replaced' : 'Draft added', 10000);
+    this.blocks = replace ? blocks : [...this.blocks, ...blocks];
+    this.expandedBlockIndex = null;
+    this.closeOutlineDraft();
+    this.savePrep();
+    this.renderBlocks();
+    this.renderTimeEstimate();
+  }
+
+  // --- AI Outline Changes ---
 
-      item.addEventListener('dragend', () => {
-        item.classList.remove('dragging');
-        this.draggedBlockIndex = null;
-        document.querySelectorAll('.prep-block-tile.drag-over').forEach(el => el.classList.remove('drag-over'));
-      });
+  /**
+   * Show proposed blocks as a reviewable diff instead of replacing the outline.
+   * source is 'ai' or 'import' and only changes the wording.
+   */
+  proposeBlocks(blocks, source = 'ai') {
+    const diff = diffBlocks(this.blocks, blocks);
+    this.outlineProposal = diff.changes.length ? { diff, decisions: {}, source } : null;
+    this.expandedBlockIndex = null;
+    this.renderBlocks();
+  }
 
-      item.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        if (this.draggedBlockIndex !== null && this.draggedBlockIndex !== i) {
-          item.classList.add('drag-over');
-        }
-      });
+  decideOutlineChange(id, accepted) {
+    const proposal = this.outlineProposal;
+    if (!proposal) return;
+    proposal.decisions[id] = accepted;
+    if (proposal.diff.changes.every(c => proposal.decisions[c.id] !== undefined)) {
+      this.finishOutlineProposal();
+    } else {
+      this.renderBlocks();
+    }
+  }
 
-      item.addEventListener('dragleave', () => {
-        item.classList.remove('drag-over');
-      });
+  decideAllOutlineChanges(accepted) {
+    const proposal = this.outlineProposal;
+    if (!proposal) return;
+    proposal.diff.changes.forEach(c => {
+      if (proposal.decisions[c.id] === undefined) proposal.decisions[c.id] = accepted;
+    });
+    this.finishOutlineProposal();
+  }
 
-      item.addEventListener('drop', (e) => {
-        e.preventDefault();
-        item.classList.remove('drag-over');
-        if (this.draggedBlockIndex !== null && this.draggedBlockIndex !== i) {
-          const draggedBlock = this.blocks.splice(this.draggedBlockIndex, 1)[0];
-          this.blocks.splice(i, 0, draggedBlock);
-          this.expandedBlockIndex = null;
-          this.renderBlocks();
-          this.savePrep();
-        }
-      });
+  /**
+   * Apply the accepted changes as one undoable step.
+   */
+  finishOutlineProposal() {
+    const { diff, decisions } = this.outlineProposal;
+    this.outlineProposal = null;
 
-      // Delete button
-      item.querySelector('.delete-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.deletedBlock = { index: i, block: this.blocks[i] };
-        this.blocks.splice(i, 1);
-        this.expandedBlockIndex = null;
-        $('#undo-bar')?.classList.remove('hidden');
-        setTimeout(() => {
-          if (this.deletedBlock) {
-            $('#undo-bar')?.classList.add('hidden');
-            this.deletedBlock = null;
-          }
-        }, 5000);
-        this.renderBlocks();
-        this.renderTimeEstimate();
-        this.savePrep();
-      });
+    if (diff.changes.some(c => decisions[c.id])) {
+      this.saveUndo('Outline updated', 10000);
+      this.blocks = applyOutlineDiff(diff, c => decisions[c.id] === true);
+      this.savePrep();
+    }
 
-      if (isExpanded) {
-        // Cancel edit
-        item.querySelector('.cancel-btn').addEventListener('click', (e) => {
-          e.stopPropagation();
-          this.expandedBlockIndex = null;
-          this.renderBlocks();
-        });
+    this.renderBlocks();
+    this.renderTimeEstimate();
+  }
 
-        // Save edit
-        item.querySelector('.save-btn').addEventListener('click', (e) => {
-          e.stopPropagation();
-          block.content = item.querySelector('.block-content-input').value.trim() || block.content;
-          block.notes = item.querySelector('.block-notes-input').value.trim();
-          this.expandedBlockIndex = null;
-          this.renderBlocks();
-          this.savePrep();
-        });
-      } else {
-        // Click to edit (on display area, not drag handle)
-        item.querySelector('.prep-block-display').addEventListener('click', (e) => {
-          if (e.target.closest('.drag-handle') || e.target.closest('.delete-btn')) return;
-          this.expandedBlockIndex = i;
-          this.renderBlocks();
-        });
-      }
+  outlineDecisionHtml(change) {
+    const decision = this.outlineProposal.decisions[change.id];
+    if (decision !== undefined) {
+      return `<span class="diff-status">${decision ? 'Accepted' : 'Rejected'}</span>`;
+    }
+    return `
+      <button class="btn btn-sm btn-ghost diff-btn" data-change="${change.id}" data-accept="0">Reject</button>
+      <button class="btn btn-sm btn-primary diff-btn" data-change="${change.id}" data-accept="1">Accept</button>
+    `;
+  }
+
+  renderOutlineProposal(list) {
+    const { diff, decisions, source } = this.outlineProposal;
+    const remaining = diff.changes.filter(c => decisions[c.id] === undefined).length;
+    const reorder = diff.changes.find(c => c.kind === 'moved');
+
+    const header = document.createElement('li');
+    header.className = 'diff-header';
+    header.innerHTML = `
+      <div class="diff-summary">
+        <span>${source === 'import' ? '&#128196; Import suggests' : '&#10024; AI suggested'} ${diff.changes.length} change${diff.changes.length === 1 ? '' : 's'} &middot; ${remaining} to review</span>
+        <div class="diff-actions">
+          <button class="btn btn-sm btn-ghost" id="reject-all-btn">Reject all</button>
+          <button class="btn btn-sm btn-primary" id="accept-all-btn">Accept all</button>
+        </div>
+      </div>
+      ${reorder ? `
+        <div class="diff-reorder">
+          <span>Reorder ${reorder.oldIndexes.length} block${reorder.oldIndexes.length === 1 ? '' : 's'}</span>
+          <div class="diff-decision">${this.outlineDecisionHtml(reorder)}</div>
+        </div>
+      ` : ''}
+    `;
+    list.appendChild(header);
 
+    diffRows(diff).forEach(row => {
+      const change = row.change;
+      const kind = change ? change.kind : 'unchanged';
+      const old = row.oldIndex >= 0 ? diff.oldBlocks[row.oldIndex] : null;
+      const block = kind === 'removed' ? old : diff.newBlocks[row.newIndex];
+      const decided = change && decisions[change.id] !== undefined;
+
+      const item = document.createElement('li');
+      item.className = `prep-block-tile type-${block.type} diff-${kind}${decided ? ' diff-decided' : ''}`;
+      item.innerHTML = `
+        <div class="prep-block-display">
+          <div class="prep-block-header">
+            <span class="block-type-badge">${escapeHtml(block.type)}</span>
+            ${change ? `<span class="diff-badge">${kind}</span>` : ''}
+            ${row.moved ? '<span class="diff-badge">moved</span>' : ''}
+          </div>
+          ${kind === 'edited' && old.content !== block.content ? `<div class="block-content diff-before">${escapeHtml(old.content)}</div>` : ''}
+          <div class="block-content">${escapeHtml(block.content)}</div>
+          ${old?.notes ? `<div class="block-notes-visible">${escapeHtml(old.notes)}</div>` : ''}
+          ${block.detail ? `<div class="block-detail">${escapeHtml(block.detail)}</div>` : ''}
+          ${change?.replacesNotes ? '<div class="diff-warning">Accepting this replaces your notes</div>' : ''}
+          ${change?.removesNotes ? '<div class="diff-warning">Accepting this removes your notes</div>' : ''}
+          ${change ? `<div class="diff-decision">${this.outlineDecisionHtml(change)}</div>` : ''}
+        </div>
+      `;
       list.appendChild(item);
     });
+
+    list.querySelectorAll('.diff-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.decideOutlineChange(Number(btn.dataset.change), btn.dataset.accept === '1');
+      });
+    });
+    $('#accept-all-btn').addEventListener('click', () => this.decideAllOutlineChanges(true));
+    $('#reject-all-btn').addEventListener('click', () => this.decideAllOutlineChanges(false));
   }
 
   // --- Live Mode ---
@@ -1387,12 +2906,21 @@ class App {
     this.blockStartTimes = [0];
     this.timeWarningShown = {};
     this.liveSuggestions = [];
+    this.liveVerseText = {};
     this.lastMatchedBlockIndex = -1;
+    this.sessionContext.reset();
+    if (!this.isPractice) {
+      this.usageSession = Date.now().toString();
+      this.ai.usage.session = this.usageSession;
+    }
 
     const screenId = this.mode === 'lesson'
       ? (this.isPractice ? 'screen-lesson-practice' : 'screen-lesson-live')
       : (this.isPractice ? 'screen-talk-practice' : 'screen-talk-live');
     const hasPlan = this.blocks.length > 0;
+    // Transcript segments are placed on the live timer and the block being taught
+    this.speech.clock = () => this.timerSeconds;
+    this.speech.blockIndex = hasPlan ? 0 : null;
 
     let blocksHtml = '';
     if (hasPlan) {
@@ -1400,14 +2928,15 @@ class App {
       this.blocks.forEach((block, i) => {
         const state = i === 0 ? 'active' : '';
         blocksHtml += `
-          <div class="live-block-item type-${block.type} ${state}" data-index="${i}">
+          <div class="live-block-item type-${escapeHtml(block.type)} ${state}" data-index="${i}">
             <div class="live-block-header">
-              <span class="block-type-badge">${block.type}</span>
+              <span class="block-type-badge">${escapeHtml(block.type)}</span>
               <span class="block-time" id="block-time-${i}"></span>
             </div>
-            <div class="block-content">${block.content}</div>
-            ${block.notes ? `<div class="block-notes-live">${block.notes}</div>` : ''}
-            ${block.detail ? `<div class="block-detail">${block.detail}</div>` : ''}
+            <div class="block-content">${escapeHtml(block.type === 'scripture' ? this.displayReference(block.content) : block.content)}</div>
+            ${block.type === 'scripture' ? `<div class="block-verse" id="block-verse-${i}">${block.verseText ? markHighlight(block.verseText, block.highlight) : ''}</div>` : ''}
+            ${block.notes ? `<div class="block-notes-live">${escapeHtml(block.notes)}</div>` : ''}
+            ${block.detail ? `<div class="block-detail">${escapeHtml(block.detail)}</div>` : ''}
           </div>
         `;
       });
@@ -1478,14 +3007,19 @@ class App {
           </div>
           <div class="suggestion-text" id="suggestion-text"></div>
           <ul class="suggestion-bullets" id="suggestion-bullets"></ul>
-          <div class="suggestion-reference" id="suggestion-reference"></div>
+          <div class="suggestion-reference" id="suggestion-reference" title="Show verse"></div>
+          <div class="suggestion-verse" id="suggestion-verse"></div>
         </div>
 
         <div class="time-warning" id="time-warning"></div>
+        <div class="passage-overlay" id="passage-overlay" hidden></div>
       </div>
     `;
 
     showScreen(screenId);
+    this.fillLiveVerses();
+    $('#suggestion-reference').addEventListener('click', () => this.lookupSuggestionVerse());
+    $('#passage-overlay').addEventListener('click', () => { $('#passage-overlay').hidden = true; });
 
     // Block navigation
     if (hasPlan) {
@@ -1496,6 +3030,7 @@ class App {
         const item = e.target.closest('.live-block-item');
         if (!item) return;
         const idx = parseInt(item.dataset.index);
+        if (e.target.closest('.block-verse')) this.showPassage(idx);
         this.jumpToBlock(idx);
       });
 
@@ -1536,6 +3071,103 @@ class App {
     this.startLiveCommon();
   }
 
+  /**
+   * Library verse text under scripture blocks that don't keep their own.
+   * Only the library is used, so this is instant and never costs an AI call.
+   */
+  async fillLiveVerses() {
+    for (const [i, block] of this.blocks.entries()) {
+      if (block.type !== 'scripture' || block.verseText) continue;
+      try {
+        const verse = await this.library.lookup(parseReference(block.content));
+        const el = $(`#block-verse-${i}`);
+        if (!verse || !el) continue;
+        this.liveVerseText[i] = verse.text;
+        el.innerHTML = markHighlight(verse.text, block.highlight) + verseSourceHtml('library', this.libraryTranslation());
+      } catch (e) {
+        console.warn('Scripture library error:', e);
+        return;
+      }
+    }
+  }
+
+  /**
+   * A scripture block's full passage in large type, for reading aloud.
+   * Tapping anywhere closes it.
+   */
+  showPassage(i) {
+    const block = this.blocks[i];
+    const text = block.verseText || this.liveVerseText[i];
+    const translation = block.verseText ? block.translation : this.libraryTranslation();
+    const overlay = $('#passage-overlay');
+    if (!text || !overlay) return;
+
+    overlay.innerHTML = `
+      <div class="passage-reference">
+        ${escapeHtml(this.displayReference(block.content))}
+        ${translation ? `<span class="passage-translation">${escapeHtml(translation)}</span>` : ''}
+      </div>
+      <div class="passage-text">${markHighlight(text, block.highlight)}</div>
+      ${block.verseText && block.verseSource === 'ai' ? '<div class="verse-source">AI-provided text. Check the wording.</div>' : ''}
+      <div class="passage-hint">Tap to close</div>
+    `;
+    overlay.scrollTop = 0;
+    overlay.hidden = false;
+  }
+
+  /**
+   * A scripture reference as the session language writes it. References are
+   * kept in English for parsing; text that isn't one is shown as is.
+   */
+  displayReference(text) {
+    const reference = parseReference(text || '');
+    return reference ? formatReference(reference, this.ai.language) : text || '';
+  }
+
+  /**
+   * Language of scripture library text, when the session is in another one.
+   * The library holds English verses, so in other languages they are labeled.
+   */
+  libraryTranslation() {
+    return this.ai.language === DEFAULT_LANGUAGE ? '' : LANGUAGES[DEFAULT_LANGUAGE].name;
+  }
+
+  /**
+   * Verse text for a parsed reference: from the scripture library when it
+   * has every verse, otherwise from the AI and marked source 'ai', since the
+   * model can misquote. Sessions in other languages ask the AI first, for
+   * text in their language, and only fall back to labeled library text.
+   * Null when neither can answer.
+   */
+  async resolveScripture(reference) {
+    const libraryVerse = async () => {
+      try {
+        const verse = await this.library.lookup(reference);
+        return verse ? { ...verse, source: 'library', translation: this.libraryTranslation() } : null;
+      } catch (e) {
+        console.warn('Scripture library error:', e);
+        return null;
+      }
+    };
+
+    const aiFirst = this.ai.language !== DEFAULT_LANGUAGE && this.ai.isConfigured();
+    if (!aiFirst) {
+      const verse = await libraryVerse();
+      if (verse || !this.ai.isConfigured()) return verse;
+    }
+
+    const formatted = formatReference(reference);
+    try {
+      const result = await this.ai.lookupScripture(formatted, { mode: this.mode, signal: this.requestAbort.signal });
+      return { reference: formatted, text: result.text, context: result.context, source: 'ai' };
+    } catch (e) {
+      // Offline, a labeled library verse beats an error
+      const verse = aiFirst && !isAbortError(e) ? await libraryVerse() : null;
+      if (verse) return verse;
+      throw e;
+    }
+  }
+
   jumpToBlock(idx) {
     if (idx < 0 || idx >= this.blocks.length) return;
 
@@ -1557,6 +3189,7 @@ class App {
     });
 
     this.currentBlockIndex = idx;
+    this.speech.blockIndex = idx;
 
     const activeItem = document.querySelector(`.live-block-item[data-index="${idx}"]`);
     activeItem?.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -1622,41 +3255,41 @@ class App {
     if (!this.isPractice) {
       // Pause button
       $('#pause-btn')?.addEventListener('click', () => {
-        this.isPaused = !this.isPaused;
-        const btn = $('#pause-btn');
-        const dot = $('#mic-dot');
-        const label = $('#mic-label');
-
-        if (this.isPaused) {
-          btn.innerHTML = '&#9654;'; // play icon
-          btn.classList.add('paused');
-          if (dot) dot.classList.remove('active');
-          if (label) label.textContent = 'Paused';
-          toast('AI paused');
-        } else {
-          btn.innerHTML = '&#9208;'; // pause icon
-          btn.classList.remove('paused');
-          if (dot && this.speech.isListening) dot.classList.add('active');
-          if (label) label.textContent = this.speech.isListening ? 'Listening' : 'Mic off';
-          toast('AI resumed');
+        if (this.isPaused && this.ai.usage.isOverCap()) {
+          toast('Daily AI limit reached. Raise it in Settings to resume.');
+          return;
         }
+        this.setPaused(!this.isPaused);
+        toast(this.isPaused ? 'AI paused' : 'AI resumed');
       });
 
       // Scripture lookup
       $('#scripture-btn')?.addEventListener('click', async () => {
-        const ref = prompt('Enter scripture reference (e.g., Alma 32:21):');
-        if (!ref?.trim()) return;
+        const input = prompt('Enter scripture reference (e.g., Alma 32:21):');
+        if (!input?.trim()) return;
+        const parsed = parseReference(input);
+        if (!parsed) {
+          toast('Not a recognized scripture reference');
+          return;
+        }
 
         try {
-          const result = await this.ai.lookupScripture(ref.trim());
+          const verse = await this.resolveScripture(parsed);
+          if (!verse) {
+            toast('Not in your scripture library');
+            return;
+          }
           this.showSuggestion({
             type: 'scripture',
-            suggestion: result.text || 'Scripture lookup',
-            reference: result.reference || ref,
-            bullets: []
+            suggestion: verse.text || 'Scripture lookup',
+            reference: verse.reference,
+            bullets: [],
+            verseSource: verse.source,
+            verseTranslation: verse.translation
           });
         } catch (e) {
-          toast('Could not lookup scripture');
+          if (isAbortError(e)) return;
+          toast(`Could not lookup scripture: ${e.message}`);
         }
       });
 
@@ -1677,11 +3310,14 @@ class App {
             recent,
             this.currentEntry,
             currentBlock,
-            this.hasNoPlan
+            this.hasNoPlan,
+            this.describeSession(),
+            { signal: this.requestAbort.signal }
           );
           this.showSuggestion(suggestion);
         } catch (e) {
-          toast('Could not get help');
+          if (isAbortError(e)) return;
+          toast(`Could not get help: ${e.message}`);
           console.error(e);
         }
 
@@ -1699,79 +3335,176 @@ class App {
       };
 
       this.speech.onTranscript = (text) => {
-        const el = $('#transcript-text');
-        if (el) {
-          const display = text.length > 150 ? '...' + text.slice(-150) : text;
-          el.textContent = display;
-        }
+        this.renderTranscriptPreview();
         // Smart scroll - check if we should auto-advance blocks
         this.checkSmartScroll(text);
       };
 
-      this.speech.onChunkReady = async (chunk) => {
-        if (!this.ai.hasApiKey() || !this.isLive || this.isPaused) return;
-        try {
-          const currentBlock = this.blocks[this.currentBlockIndex]?.content || '';
-          let suggestion;
-
-          if (this.mode === 'lesson') {
-            suggestion = await this.ai.generateLiveSuggestion(
-              chunk,
-              this.currentEntry,
-              currentBlock,
-              this.hasNoPlan
-            );
-          } else {
-            suggestion = await this.ai.generateTalkDeliverySuggestion(
-              chunk,
-              this.currentEntry.content || this.currentEntry.topic,
-              currentBlock
-            );
-          }
+      this.speech.onInterim = () => this.renderTranscriptPreview();
 
-          if (suggestion.suggestion) {
-            this.showSuggestion(suggestion);
-          }
-        } catch (e) {
-          console.error('Suggestion error:', e);
+      // AI requests go through the scheduler: one at a time, merged and rate limited
+      this.scheduler.run = (job) => {
+        const signal = this.requestAbort.signal;
+        const currentBlock = this.blocks[this.currentBlockIndex]?.content || '';
+
+        if (job.type === 'context') {
+          return this.ai.summarizeDiscussion(this.sessionContext.summary, job.text, this.mode, { signal });
         }
-      };
 
-      this.speech.onAudioChunkReady = async (base64Audio, mimeType) => {
-        if (!this.ai.hasApiKey() || !this.isLive || this.isPaused) return;
-        try {
-          const currentBlock = this.blocks[this.currentBlockIndex]?.content || '';
+        const sessionContext = this.describeSession();
 
-          const result = await this.ai.transcribeAndSuggest(
-            base64Audio,
-            mimeType,
+        if (job.type === 'audio') {
+          return this.ai.transcribeAndSuggest(
+            job.data,
+            job.mimeType,
             this.currentEntry,
             currentBlock,
             this.mode,
-            this.hasNoPlan
+            this.hasNoPlan,
+            sessionContext,
+            { signal }
           );
+        }
 
-          if (result.transcript) {
-            this.speech.appendTranscript(result.transcript);
-            // Smart scroll for audio-based transcription
-            this.checkSmartScroll(this.speech.getTranscript());
-          }
-          if (result.suggestion) {
-            this.showSuggestion(result);
-          }
-        } catch (e) {
-          console.error('Transcription error:', e);
+        if (this.mode === 'lesson') {
+          return this.ai.generateLiveSuggestion(
+            job.text,
+            this.currentEntry,
+            currentBlock,
+            this.hasNoPlan,
+            sessionContext,
+            { signal }
+          );
+        }
+
+        return this.ai.generateTalkDeliverySuggestion(
+          job.text,
+          this.currentEntry.content || this.currentEntry.topic,
+          currentBlock,
+          sessionContext,
+          { signal }
+        );
+      };
+
+      this.scheduler.onResult = (result, job) => {
+        if (!this.isLive) return;
+        if (job.type === 'context') {
+          this.sessionContext.update(result.summary, job.length);
+          this.sessionContext.refreshing = false;
+          return;
+        }
+        if (job.type === 'audio' && result.transcript) {
+          this.speech.appendTranscript(result.transcript, job.span);
+          // Smart scroll for audio-based transcription
+          this.checkSmartScroll(this.speech.getTranscript());
+        }
+        if (result.suggestion && !this.isPaused) {
+          this.showSuggestion(result);
+        }
+      };
+
+      this.scheduler.onError = (e, job) => {
+        if (job.type === 'context') {
+          // Background refresh; the next interval will try again
+          this.sessionContext.refreshing = false;
+          console.warn('Context refresh error:', e);
+          return;
         }
+        if (isAbortError(e)) return;
+        console.error(job.type === 'audio' ? 'Transcription error:' : 'Suggestion error:', e);
+        toast(`${job.type === 'audio' ? 'Transcription' : 'Suggestion'} failed: ${e.message}`);
+      };
+
+      this.speech.onChunkReady = (chunk) => {
+        if (!this.ai.isConfigured() || !this.isLive || this.isPaused) return;
+        this.scheduler.enqueueText(chunk);
+      };
+
+      this.speech.onAudioChunkReady = (base64Audio, mimeType, span) => {
+        if (!this.ai.isConfigured() || !this.ai.supportsAudio || !this.isLive || this.isPaused) return;
+        this.scheduler.enqueueAudio(base64Audio, mimeType, span);
       };
 
       this.speech.onError = (err) => {
         console.warn('Speech error:', err);
+        if (err === 'language-not-supported') {
+          toast(`This browser can't recognize ${LANGUAGES[this.ai.language].name} speech`);
+        }
       };
 
+      if (this.speech.mode === 'recorder' && this.ai.isConfigured() && !this.ai.supportsAudio) {
+        toast(`${this.ai.provider.label} can't transcribe audio on this device`);
+      }
+
+      this.ai.usage.onRecord = () => this.checkUsageCap();
+      this.checkUsageCap();
+      this.scheduler.start(this.getLiveRequestBudget());
+      this.contextInterval = setInterval(() => this.refreshSessionContext(), this.sessionContext.refreshIntervalMs);
       this.speech.start();
     }
   }
 
+  setPaused(paused) {
+    this.isPaused = paused;
+    const btn = $('#pause-btn');
+    const dot = $('#mic-dot');
+    const label = $('#mic-label');
+
+    if (paused) {
+      if (btn) {
+        btn.innerHTML = '&#9654;'; // play icon
+        btn.classList.add('paused');
+      }
+      if (dot) dot.classList.remove('active');
+      if (label) label.textContent = 'Paused';
+    } else {
+      if (btn) {
+        btn.innerHTML = '&#9208;'; // pause icon
+        btn.classList.remove('paused');
+      }
+      if (dot && this.speech.isListening) dot.classList.add('active');
+      if (label) label.textContent = this.speech.isListening ? 'Listening' : 'Mic off';
+    }
+  }
+
+  /**
+   * Pause live suggestions once the daily token cap is reached.
+   */
+  checkUsageCap() {
+    if (!this.isLive || this.isPaused || !this.ai.usage.isOverCap()) return;
+    this.setPaused(true);
+    toast('Daily AI limit reached. Suggestions paused.', 5000);
+  }
+
+  /**
+   * Prompt text describing what the live session has covered so far.
+   */
+  describeSession() {
+    const coveredIndexes = Object.keys(this.blockStartTimes)
+      .map(Number)
+      .filter(i => i !== this.currentBlockIndex);
+
+    return this.sessionContext.describe({
+      blocks: this.blocks,
+      coveredIndexes,
+      suggestions: this.liveSuggestions
+    });
+  }
+
+  /**
+   * Queue a background update of the running summary if enough new speech came in.
+   */
+  refreshSessionContext() {
+    if (!this.isLive || this.isPaused || this.sessionContext.refreshing || !this.ai.isConfigured()) return;
+
+    const transcript = this.speech.getTranscript();
+    const fresh = this.sessionContext.pendingTranscript(transcript);
+    if (!fresh) return;
+
+    this.sessionContext.refreshing = true;
+    this.scheduler.enqueue({ type: 'context', text: fresh, length: transcript.length });
+  }
+
   checkTimeWarnings(targetSeconds) {
     const remaining = targetSeconds - this.timerSeconds;
     const warningEl = $('#time-warning');
@@ -1845,29 +3578,105 @@ class App {
     }
 
     if (refEl) {
-      refEl.textContent = suggestion.reference || '';
+      refEl.textContent = this.displayReference(suggestion.reference);
       refEl.style.display = suggestion.reference ? '' : 'none';
     }
+    this.shownSuggestion = suggestion;
+    this.showSuggestionVerse(suggestion);
 
     bar.classList.add('visible');
   }
 
+  /**
+   * Verse text under the suggestion's reference, from the library when it
+   * has it. Lookups from the scripture button already show the verse as
+   * the suggestion, so they only get their source note.
+   */
+  async showSuggestionVerse(suggestion) {
+    const el = $('#suggestion-verse');
+    if (!el) return;
+    el.innerHTML = '';
+
+    if (suggestion.verseSource) {
+      el.innerHTML = verseSourceHtml(suggestion.verseSource, suggestion.verseTranslation);
+      return;
+    }
+    const reference = parseReference(suggestion.reference || '');
+    if (!reference) return;
+    try {
+      const verse = await this.library.lookup(reference);
+      if (verse && this.shownSuggestion === suggestion) {
+        el.innerHTML = verseHtml({ ...verse, source: 'library', translation: this.libraryTranslation() });
+      }
+    } catch (e) {
+      console.warn('Scripture library error:', e);
+    }
+  }
+
+  /**
+   * Tapping the reference looks the verse up, asking the AI if the library
+   * doesn't have it.
+   */
+  async lookupSuggestionVerse() {
+    const suggestion = this.shownSuggestion;
+    const el = $('#suggestion-verse');
+    const reference = parseReference(suggestion?.reference || '');
+    if (!reference || !el || suggestion.verseSource || el.textContent.trim()) return;
+
+    el.textContent = 'Looking up...';
+    try {
+      const verse = await this.resolveScripture(reference);
+      if (this.shownSuggestion !== suggestion) return;
+      el.innerHTML = verse ? verseHtml(verse) : '';
+      if (!verse) toast('Not in your scripture library');
+    } catch (e) {
+      if (isAbortError(e)) return;
+      el.textContent = '';
+      toast(`Could not lookup scripture: ${e.message}`);
+    }
+  }
+
   hideSuggestion() {
     const bar = $('#suggestion-bar');
     if (bar) bar.classList.remove('visible');
   }
 
   stopLive() {
+    this.requestAbort.abort();
     this.isLive = false;
     this.isPractice = false;
     this.isPaused = false;
     clearInterval(this.timerInterval);
+    clearInterval(this.contextInterval);
     this.speech.stop();
+    this.scheduler.stop();
+    this.ai.usage.onRecord = null;
     this.hideSuggestion();
   }
 
   // --- Summary ---
 
+  /**
+   * The end of the transcript, with words still being recognized as a
+   * greyed-out tail.
+   */
+  renderTranscriptPreview() {
+    const el = $('#transcript-text');
+    if (!el) return;
+
+    const text = this.speech.getTranscript();
+    const interim = this.speech.interim.trim();
+    const room = Math.max(0, 150 - interim.length);
+    el.textContent = text.length > room ? '...' + text.slice(-room) : text;
+    if (interim) {
+      const tail = document.createElement('span');
+      tail.className = 'transcript-interim';
+      tail.textContent = ` ${interim}`;
+      el.appendChild(tail);
+    }
+    el.parentElement.scrollTop = el.parentElement.scrollHeight;
+  }
+
   async renderSummary() {
     if (!this.currentEntry) {
       location.hash = this.mode === 'lesson' ? '#lessons' : '#talks';
@@ -1882,6 +3691,8 @@ class App {
     const coveredBlocks = this.hasNoPlan ? 0 : Math.min(this.currentBlockIndex + 1, this.blocks.length);
     const totalBlocks = this.blocks.length;
     const suggestions = this.liveSuggestions || this.currentEntry.liveSuggestions || [];
+    const segments = this.speech.segments.length > 0 ? this.speech.segments : (this.currentEntry.transcriptSegments || []);
+    const unclear = segments.filter(seg => seg.confidence !== null && seg.confidence < LOW_CONFIDENCE).length;
 
     $(`#${screenId}`).innerHTML = `
       <div class="header">
@@ -1906,10 +3717,12 @@ class App {
           </div>
         </div>
 
+        <div class="session-usage" id="session-usage"></div>
+
         <div class="prep-section" id="ai-summary-section">
           <h3>${this.mode === 'lesson' ? 'AI Summary' : 'Delivery Feedback'}</h3>
           <div id="ai-summary-content">
-            ${(this.ai.hasApiKey() && transcript)
+            ${(this.ai.isConfigured() && transcript)
               ? '<div class="ai-loading"><div class="spinner"></div> Analyzing...</div>'
               : '<p class="text-muted">No transcript available.</p>'}
           </div>
@@ -1925,6 +3738,17 @@ class App {
         </div>
         ` : ''}
 
+        ${segments.length > 0 ? `
+        <div class="prep-section">
+          <div class="summary-section-header">
+            <h3>Transcript</h3>
+            ${unclear ? `<span class="suggestion-count">${unclear} unclear</span>` : ''}
+          </div>
+          ${unclear ? '<p class="hint">Highlighted stretches were hard to make out and may be transcribed wrong.</p>' : ''}
+          <div class="transcript-segments" id="transcript-segments"></div>
+        </div>
+        ` : ''}
+
         <div class="summary-notes">
           <h3>Notes</h3>
           <textarea id="summary-notes" placeholder="Add any notes...">${this.currentEntry.notes || ''}</textarea>
@@ -1938,23 +3762,34 @@ class App {
     `;
 
     showScreen(screenId);
+    this.renderSessionUsage();
 
     // Render after-action suggestions
     if (suggestions.length > 0) {
       this.renderAfterActionSuggestions(suggestions);
     }
+    this.renderTranscriptSegments(segments);
 
-    if (this.ai.hasApiKey() && transcript) {
+    if (this.ai.isConfigured() && transcript) {
+      const signal = this.requestAbort.signal;
       try {
+        // Fill the summary cards in as the response streams
+        const onProgress = (partial) => {
+          if (Object.keys(partial).length > 0) this.renderAISummary(partial);
+        };
+
         let summary;
         if (this.mode === 'lesson') {
-          summary = await this.ai.generateLessonSummary(title, transcript, coveredBlocks, totalBlocks, durationMin);
+          summary = await this.ai.generateLessonSummary(title, transcript, coveredBlocks, totalBlocks, durationMin, { onProgress, signal });
         } else {
-          summary = await this.ai.generateTalkSummary(title, transcript, durationMin);
+          summary = await this.ai.generateTalkSummary(title, transcript, durationMin, { onProgress, signal });
         }
         this.currentEntry.summary = summary;
         this.renderAISummary(summary);
+        this.renderSessionUsage();
       } catch (e) {
+        if (isAbortError(e)) return;
+        this.renderSessionUsage();
         $('#ai-summary-content').innerHTML = `<p style="color:var(--danger)">${e.message}</p>`;
       }
     }
@@ -1971,6 +3806,61 @@ class App {
     });
   }
 
+  /**
+   * AI requests and tokens used by the live session (and its summary).
+   */
+  renderSessionUsage() {
+    const el = $('#session-usage');
+    if (!el) return;
+
+    const usage = this.usageSession
+      ? this.ai.usage.sessionTotals(this.usageSession)
+      : this.currentEntry?.usage;
+    if (!usage?.requests) {
+      el.innerHTML = '';
+      return;
+    }
+
+    el.innerHTML = `
+      <span>&#9889; ${usage.requests} AI request${usage.requests === 1 ? '' : 's'}</span>
+      <span>${formatTokens(usage.promptTokens)} in &middot; ${formatTokens(usage.responseTokens)} out</span>
+      ${usage.cost ? `<span>~${formatCost(usage.cost)}</span>` : ''}
+      ${usage.latencyMs ? `<span>${(usage.latencyMs / 1000).toFixed(1)}s avg</span>` : ''}
+    `;
+  }
+
+  /**
+   * The session transcript with a time mark every half minute or so and
+   * low-confidence segments highlighted.
+   */
+  renderTranscriptSegments(segments) {
+    const el = $('#transcript-segments');
+    if (!el) return;
+
+    el.innerHTML = '';
+    let lastMark = -Infinity;
+    for (const seg of segments) {
+      if (seg.start - lastMark >= 30) {
+        const mark = document.createElement('span');
+        mark.className = 'segment-time';
+        mark.textContent = formatTime(seg.start);
+        el.appendChild(mark);
+        lastMark = seg.start;
+      }
+
+      const span = document.createElement('span');
+      const low = seg.confidence !== null && seg.confidence < LOW_CONFIDENCE;
+      span.className = `transcript-segment${low ? ' low-confidence' : ''}`;
+      span.textContent = `${seg.text} `;
+      span.title = [
+        `${formatTime(seg.start)}-${formatTime(seg.end)}`,
+        seg.blockIndex !== null && this.blocks[seg.blockIndex] ? `block ${seg.blockIndex + 1}` : '',
+        seg.confidence !== null ? `${Math.round(seg.confidence * 100)}% confidence` : ''
+      ].filter(Boolean).join(', ');
+      el.appendChild(span);
+    }
+  }
+
   renderAfterActionSuggestions(suggestions) {
     const el = $('#after-action-suggestions');
     if (!el) return;
@@ -2000,7 +3890,7 @@ class App {
           </div>
           <div class="after-action-text">${s.suggestion}</div>
           ${s.bullets?.length ? `<ul class="after-action-bullets">${s.bullets.map(b => `<li>${b}</li>`).join('')}</ul>` : ''}
-          ${s.reference ? `<div class="after-action-ref">${s.reference}</div>` : ''}
+          ${s.reference ? `<div class="after-action-ref">${escapeHtml(this.displayReference(s.reference))}</div>` : ''}
           ${blockLabel ? `<div class="after-action-block">During: ${blockLabel}...</div>` : ''}
         </div>
       `;
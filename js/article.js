@@ -0,0 +1,172 @@
+/**
+ * Web page import.
+ * Fetches a page directly, or through a user-configured proxy when the site
+ * doesn't allow cross-origin requests, then pulls out the article the way a
+ * reader view would: title, speaker, headings, paragraphs and the scripture
+ * references in its footnotes. Tuned for churchofjesuschrist.org talks and
+ * lessons, with a text-density fallback for other sites.
+ */
+
+const FETCH_TIMEOUT_MS = 20000;
+const MIN_PARAGRAPH_CHARS = 40;
+
+// Never part of the article text
+const NOISE_SELECTOR = 'script, style, noscript, template, nav, aside, form, button, iframe, svg, video, audio, [hidden], [aria-hidden="true"]';
+const NOTES_SELECTOR = 'footer.notes, .notes, #notes, .footnotes';
+const AUTHOR_SELECTOR = '.author-name, [itemprop="author"], .byline, .author';
+const SCRIPTURE_LINK_SELECTOR = 'a.scripture-ref, a[href*="/scriptures/"]';
+
+/**
+ * Address to request through the proxy. {url} in the proxy is replaced with
+ * the encoded page address; otherwise the address is appended.
+ */
+export function proxiedUrl(proxy, url) {
+  return proxy.includes('{url}')
+    ? proxy.replace('{url}', encodeURIComponent(url))
+    : proxy + encodeURIComponent(url);
+}
+
+async function fetchText(url, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`The page could not be loaded (${res.status})`);
+    return await res.text();
+  } catch (e) {
+    if (e.name === 'AbortError' && !signal?.aborted) throw new Error('The page took too long to load');
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Fetch a page and extract its article. Tries the page directly first and
+ * falls back to the proxy when the browser blocks the request.
+ */
+export async function fetchArticle(url, { proxy = '', signal } = {}) {
+  let address;
+  try {
+    address = new URL(url.trim());
+  } catch {
+    throw new Error('That does not look like a web address');
+  }
+  if (address.protocol !== 'https:' && address.protocol !== 'http:') {
+    throw new Error('Only http and https addresses can be fetched');
+  }
+
+  let html;
+  try {
+    html = await fetchText(address.href, signal);
+  } catch (e) {
+    // fetch() rejects with a TypeError for network and CORS failures
+    if (!(e instanceof TypeError)) throw e;
+    if (!proxy) throw new Error('This site does not allow direct requests. Add a fetch proxy in Settings.');
+    try {
+      html = await fetchText(proxiedUrl(proxy, address.href), signal);
+    } catch (proxyError) {
+      if (proxyError instanceof TypeError) throw new Error('Could not reach the fetch proxy');
+      throw proxyError;
+    }
+  }
+
+  return extractArticle(html, address.href);
+}
+
+function textOf(el) {
+  return (el?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function metaContent(doc, selector) {
+  return doc.querySelector(selector)?.getAttribute('content')?.trim() || '';
+}
+
+/**
+ * Element holding the most paragraph text, for pages without semantic markup.
+ */
+function densestContainer(body) {
+  const scores = new Map();
+  for (const p of body.querySelectorAll('p')) {
+    const length = textOf(p).length;
+    if (length < MIN_PARAGRAPH_CHARS) continue;
+    scores.set(p.parentElement, (scores.get(p.parentElement) || 0) + length);
+  }
+  let best = body;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function footnoteReferences(doc) {
+  const notes = [...doc.querySelectorAll(NOTES_SELECTOR)];
+  const scopes = notes.length > 0 ? notes : [doc];
+  const references = scopes.flatMap(scope =>
+    [...scope.querySelectorAll(SCRIPTURE_LINK_SELECTOR)].map(a => textOf(a).replace(/[.;,]+$/, ''))
+  );
+  return [...new Set(references.filter(Boolean))];
+}
+
+/**
+ * Pull the article out of a page's HTML:
+ * { url, title, author, headings, paragraphs, references, content }
+ * content is the plain text used for lesson and talk notes.
+ */
+export function extractArticle(html, url = '') {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  const references = footnoteReferences(doc);
+  doc.querySelectorAll(`${NOISE_SELECTOR}, ${NOTES_SELECTOR}`).forEach(el => el.remove());
+  // Footnote markers in the text ("faith.1")
+  doc.querySelectorAll('sup').forEach(el => {
+    if (/^\s*[\d*†]+\s*$/.test(el.textContent)) el.remove();
+  });
+
+  const root = doc.querySelector('.body-block, article, main, [role="main"]') || densestContainer(doc.body);
+
+  const title = textOf(root.querySelector('h1') || doc.querySelector('h1'))
+    || metaContent(doc, 'meta[property="og:title"]')
+    || textOf(doc.querySelector('title')).split(/\s[|–-]\s/)[0];
+  const authorEl = doc.querySelector(AUTHOR_SELECTOR);
+  const author = (textOf(authorEl) || metaContent(doc, 'meta[name="author"]')).replace(/^by\s+/i, '');
+
+  const headings = [];
+  const paragraphs = [];
+  const lines = [];
+  for (const el of root.querySelectorAll('h2, h3, h4, p, li')) {
+    if (el.closest(AUTHOR_SELECTOR) || el.matches('.author-role')) continue;
+    if (el.tagName === 'LI' && el.querySelector('p')) continue;
+    const text = textOf(el);
+    if (!text || text === title) continue;
+
+    if (/^H\d$/.test(el.tagName)) {
+      headings.push(text);
+    } else {
+      paragraphs.push(text);
+    }
+    lines.push(text);
+  }
+
+  if (paragraphs.length === 0) throw new Error('No article text was found on this page');
+
+  if (references.length > 0) lines.push(`Scripture references: ${references.join('; ')}`);
+
+  return {
+    url,
+    title,
+    author,
+    headings,
+    paragraphs,
+    references,
+    content: lines.join('\n\n')
+  };
+}
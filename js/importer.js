@@ -0,0 +1,607 @@
+/**
+ * Source material import.
+ * Reads .txt, .md, .html, .docx and PDF files (or pasted text) into a list
+ * of items: { kind: 'heading' | 'paragraph' | 'bullet' | 'quote', text, level }.
+ * Items become clean notes text, and their headings and lists become outline
+ * blocks directly, without an AI call. Everything runs on the device.
+ */
+
+import { findReferences, formatReference } from './scripture-refs.js';
+
+const MAX_FILE_BYTES = 15 * 1024 * 1024;
+const MAX_BLOCKS = 40;
+const MAX_DETAIL_CHARS = 200;
+
+export const IMPORT_ACCEPT = '.txt,.md,.markdown,.html,.htm,.docx,.pdf';
+
+function formatOf(file) {
+  const ext = file.name.split('.').pop().toLowerCase();
+  if (ext === 'md' || ext === 'markdown') return 'markdown';
+  if (ext === 'html' || ext === 'htm' || file.type === 'text/html') return 'html';
+  if (ext === 'docx') return 'docx';
+  if (ext === 'pdf' || file.type === 'application/pdf') return 'pdf';
+  if (ext === 'txt' || file.type.startsWith('text/')) return 'text';
+  return null;
+}
+
+/**
+ * Read a file into { title, format, items, text, blocks }.
+ */
+export async function importFile(file) {
+  const format = formatOf(file);
+  if (!format) throw new Error('Use a .txt, .md, .html, .docx or PDF file');
+  if (file.size > MAX_FILE_BYTES) throw new Error('That file is too large to import');
+
+  let items;
+  if (format === 'docx') {
+    items = docxItems(await unzipEntry(await file.arrayBuffer(), 'word/document.xml'));
+  } else if (format === 'pdf') {
+    items = textItems(await pdfText(await file.arrayBuffer()));
+  } else if (format === 'html') {
+    items = htmlItems(await file.text());
+  } else {
+    items = textItems(await file.text());
+  }
+
+  if (!items.some(item => item.kind !== 'heading')) {
+    throw new Error(format === 'pdf'
+      ? 'This PDF has no extractable text. It may be scanned, or its fonts may not say which letters they draw. Copy the text and paste it instead.'
+      : 'No text was found in this file');
+  }
+  return toImport(items, file.name.replace(/\.[^.]+$/, ''), format);
+}
+
+/**
+ * Read pasted or typed text (plain or Markdown) the same way as a file.
+ */
+export function importText(text) {
+  return toImport(textItems(text), '', 'text');
+}
+
+function toImport(items, fallbackTitle, format) {
+  // A leading top-level heading is the document title, not an outline point
+  const [first] = items;
+  const hasTitle = first?.kind === 'heading' && !items.slice(1).some(i => i.kind === 'heading' && i.level <= first.level);
+  const body = hasTitle ? items.slice(1) : items;
+  return {
+    title: hasTitle ? first.text : fallbackTitle,
+    format,
+    items: body,
+    text: itemsToText(body),
+    blocks: itemsToBlocks(body)
+  };
+}
+
+// ---- Conversion ----
+
+/**
+ * Notes text: headings and paragraphs as their own paragraphs, lists as "- " lines.
+ */
+export function itemsToText(items) {
+  let text = '';
+  items.forEach((item, i) => {
+    const line = item.kind === 'bullet' ? `- ${item.text}`
+      : item.kind === 'quote' ? `> ${item.text}`
+      : item.text;
+    const tight = item.kind === 'bullet' && items[i - 1]?.kind === 'bullet';
+    text += (text ? (tight ? '\n' : '\n\n') : '') + line;
+  });
+  return text;
+}
+
+function blockFor(text) {
+  // A reference with verses, or a whole chapter on its own ("Alma 32")
+  const [reference] = findReferences(text);
+  if (reference && (reference.verses.length > 0 || reference.text === text.trim())) {
+    const detail = text.replace(reference.text, '').replace(/^[\s:–—-]+|[\s:–—-]+$/g, '');
+    return { type: 'scripture', content: formatReference(reference), detail, notes: '' };
+  }
+  if (text.endsWith('?')) return { type: 'question', content: text, detail: '', notes: '' };
+  return { type: 'point', content: text, detail: '', notes: '' };
+}
+
+function firstSentences(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const end = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('? '), cut.lastIndexOf('! '));
+  return end > 40 ? cut.slice(0, end + 1) : `${cut.trimEnd()}…`;
+}
+
+/**
+ * Outline blocks from structure: headings become points (with the first
+ * paragraph under them as detail), list items become points, questions or
+ * scriptures, and quotes become quote blocks. Loose paragraphs are left in
+ * the notes.
+ */
+export function itemsToBlocks(items) {
+  const blocks = [];
+  let heading = null;
+  for (const item of items) {
+    if (item.kind === 'heading') {
+      heading = { type: 'point', content: item.text, detail: '', notes: '' };
+      blocks.push(heading);
+    } else if (item.kind === 'bullet') {
+      blocks.push(blockFor(item.text));
+      heading = null;
+    } else if (item.kind === 'quote') {
+      blocks.push({ type: 'quote', content: item.text, detail: '', notes: '' });
+      heading = null;
+    } else if (heading && !heading.detail) {
+      heading.detail = firstSentences(item.text, MAX_DETAIL_CHARS);
+    }
+  }
+  return blocks.slice(0, MAX_BLOCKS);
+}
+
+// ---- Plain text and Markdown ----
+
+function cleanInline(text) {
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|\W)[*_](\S.*?\S|\S)[*_](?=\W|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// A short standalone line in capitals or ending in a colon reads as a heading
+function looksLikeHeading(line) {
+  if (line.length > 70 || /[.,;!?]$/.test(line)) return false;
+  return line.endsWith(':') || (/[A-Z]/.test(line) && line === line.toUpperCase());
+}
+
+/**
+ * Items from plain text or Markdown.
+ */
+export function textItems(text) {
+  const items = [];
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) items.push({ kind: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const next = (lines[i + 1] || '').trim();
+    let match;
+
+    if (!line || /^([-*_])(\s*\1){2,}$/.test(line)) {
+      flush();
+    } else if ((match = /^(#{1,6})\s+(.+?)#*$/.exec(line))) {
+      flush();
+      items.push({ kind: 'heading', level: match[1].length, text: match[2] });
+    } else if (paragraph.length === 0 && /^(=+|-+)$/.test(next)) {
+      items.push({ kind: 'heading', level: next.startsWith('=') ? 1 : 2, text: line });
+      i++;
+    } else if ((match = /^(?:[-*+•◦▪‣·]|\d{1,3}[.)]|[a-z][.)])\s+(.+)$/.exec(line))) {
+      flush();
+      items.push({ kind: 'bullet', text: match[1] });
+    } else if ((match = /^>\s?(.*)$/.exec(line))) {
+      flush();
+      items.push({ kind: 'quote', text: match[1] });
+    } else if (paragraph.length === 0 && !next && looksLikeHeading(line)) {
+      items.push({ kind: 'heading', level: 2, text: line.replace(/:$/, '') });
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+
+  return items
+    .map(item => ({ level: 0, ...item, text: cleanInline(item.text) }))
+    .filter(item => item.text);
+}
+
+// ---- HTML ----
+
+/**
+ * Items from an HTML document, in reading order.
+ */
+export function htmlItems(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, noscript, template, nav, aside, form, iframe, svg').forEach(el => el.remove());
+
+  const items = [];
+  for (const el of doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, blockquote')) {
+    // Text inside a list item or quote belongs to that item
+    if (el.parentElement.closest('li, blockquote')) continue;
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    const tag = el.tagName.toLowerCase();
+    if (tag[0] === 'h') items.push({ kind: 'heading', level: Number(tag[1]), text });
+    else if (tag === 'li') items.push({ kind: 'bullet', level: 0, text });
+    else if (tag === 'blockquote') items.push({ kind: 'quote', level: 0, text });
+    else items.push({ kind: 'paragraph', level: 0, text });
+  }
+  return items;
+}
+
+// ---- DOCX ----
+
+async function inflate(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read one file out of a ZIP archive through its central directory.
+ */
+async function unzipEntry(buffer, name) {
+  const view = new DataView(buffer);
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('This .docx file could not be read');
+
+  const decoder = new TextDecoder();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+
+    if (decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)) === name) {
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, start, compressedSize);
+      if (method === 0) return decoder.decode(data);
+      if (method === 8) return decoder.decode(await inflate(data, 'deflate-raw'));
+      throw new Error('This .docx file uses an unsupported compression');
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  throw new Error('This .docx file has no document text');
+}
+
+/**
+ * Items from word/document.xml: heading styles become headings and
+ * numbered or bulleted paragraphs become list items.
+ */
+function docxItems(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const items = [];
+  for (const p of doc.getElementsByTagName('w:p')) {
+    let text = '';
+    for (const node of p.querySelectorAll('*')) {
+      if (node.tagName === 'w:t') text += node.textContent;
+      else if (node.tagName === 'w:tab' || node.tagName === 'w:br') text += ' ';
+    }
+    text = text.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    const style = p.getElementsByTagName('w:pStyle')[0]?.getAttribute('w:val') || '';
+    const heading = /^(?:Title|Heading\s?(\d))$/i.exec(style);
+    if (heading) {
+      // Title ranks above Heading 1
+      items.push({ kind: 'heading', level: Number(heading[1] || 0), text });
+    } else if (p.getElementsByTagName('w:numPr').length > 0 || /^List/i.test(style)) {
+      items.push({ kind: 'bullet', level: 0, text });
+    } else if (/Quote/i.test(style)) {
+      items.push({ kind: 'quote', level: 0, text });
+    } else {
+      items.push({ kind: 'paragraph', level: 0, text });
+    }
+  }
+  return items;
+}
+
+// ---- PDF ----
+
+const latin1 = new TextDecoder('latin1');
+
+/**
+ * The bytes of a literal string, one character per byte.
+ */
+function pdfString(literal) {
+  return literal.replace(/\\(\r\n|\d{1,3}|.)/gs, (_, c) => {
+    if (/^\d/.test(c)) return String.fromCharCode(parseInt(c, 8) & 0xFF);
+    return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '\r\n': '', '\r': '', '\n': '' }[c] ?? c;
+  });
+}
+
+/**
+ * The bytes of a hex string, one character per byte.
+ */
+function pdfHex(hex) {
+  const digits = hex.replace(/[^\da-fA-F]/g, '');
+  return (digits.length % 2 ? `${digits}0` : digits)
+    .replace(/../g, pair => String.fromCharCode(parseInt(pair, 16)));
+}
+
+// Text in a simple font with no ToUnicode map is taken as Latin-1
+function simpleText(bytes) {
+  return bytes.replace(/\t/g, ' ').replace(/[\x00-\x08\x0B-\x1F]/g, '');
+}
+
+// ToUnicode targets are UTF-16BE hex
+function utf16(hex) {
+  if (hex.length < 4) return hex ? String.fromCharCode(parseInt(hex, 16)) : '';
+  let text = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  return text;
+}
+
+/**
+ * Decoder for a ToUnicode CMap: shown bytes in, text out. Codes are read
+ * at the width of the CMap's codespace (two bytes for Type0/CID fonts).
+ */
+function cmapDecoder(cmap) {
+  const map = new Map();
+  const codespace = /begincodespacerange\s*<([\da-fA-F]+)>/.exec(cmap);
+  const width = Math.max(1, Math.ceil((codespace?.[1].length || 2) / 2));
+
+  for (const [, body] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, target] of body.matchAll(/<([\da-fA-F]+)>\s*<([\da-fA-F]*)>/g)) {
+      map.set(parseInt(code, 16), utf16(target));
+    }
+  }
+  for (const [, body] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target, list] of body.matchAll(/<([\da-fA-F]+)>\s*<([\da-fA-F]+)>\s*(?:<([\da-fA-F]*)>|\[([^\]]*)\])/g)) {
+      const from = parseInt(low, 16);
+      const to = Math.min(parseInt(high, 16), from + 0xFFFF);
+      if (list !== undefined) {
+        [...list.matchAll(/<([\da-fA-F]*)>/g)].forEach(([, hex], i) => map.set(from + i, utf16(hex)));
+        continue;
+      }
+      // Consecutive codes map to consecutive characters
+      const base = utf16(target);
+      if (!base) continue;
+      const last = base.charCodeAt(base.length - 1);
+      for (let code = from; code <= to; code++) {
+        map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - from));
+      }
+    }
+  }
+
+  return (bytes) => {
+    let text = '';
+    for (let i = 0; i + width <= bytes.length; i += width) {
+      let code = 0;
+      for (let j = 0; j < width; j++) code = code * 256 + bytes.charCodeAt(i + j);
+      text += map.get(code) ?? (width === 1 ? simpleText(bytes[i]) : '');
+    }
+    return text;
+  };
+}
+
+/**
+ * Index a PDF's objects by number: { dict, start, end }, where dict is the
+ * object's text before any stream and start/end bound the stream's bytes.
+ * Objects packed into object streams are unpacked too.
+ */
+async function pdfObjects(bytes, raw) {
+  const objects = new Map();
+  const heads = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = heads.exec(raw))) {
+    const start = heads.lastIndex;
+    let end = raw.indexOf('endobj', start);
+    if (end < 0) end = raw.length;
+
+    const streamStart = /\bstream\r?\n/g;
+    streamStart.lastIndex = start;
+    const stream = streamStart.exec(raw);
+    if (!stream || stream.index > end) {
+      objects.set(Number(match[1]), { dict: raw.slice(start, end) });
+      heads.lastIndex = end;
+      continue;
+    }
+
+    const dict = raw.slice(start, stream.index);
+    const dataStart = streamStart.lastIndex;
+    const endMarker = raw.indexOf('endstream', dataStart);
+    if (endMarker < 0) break;
+    // Prefer the declared length; otherwise drop the line break before endstream
+    const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+    const dataEnd = length
+      ? Math.min(dataStart + Number(length[1]), endMarker)
+      : raw.slice(dataStart, endMarker).replace(/\r?\n$/, '').length + dataStart;
+    objects.set(Number(match[1]), { dict, start: dataStart, end: dataEnd });
+    heads.lastIndex = endMarker;
+  }
+
+  for (const object of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+    const data = await streamData(bytes, object);
+    const first = Number(/\/First\s+(\d+)/.exec(object.dict)?.[1]);
+    if (!data || !first) continue;
+    const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      const from = first + header[i + 1];
+      const to = i + 3 < header.length ? first + header[i + 3] : data.length;
+      if (!objects.has(header[i])) objects.set(header[i], { dict: data.slice(from, to) });
+    }
+  }
+  return objects;
+}
+
+/**
+ * An object's stream as Latin-1 text, inflated if needed; null when it has
+ * no stream or uses a filter other than Flate.
+ */
+async function streamData(bytes, object) {
+  if (object.data !== undefined) return object.data;
+  object.data = null;
+  if (object.start === undefined) return null;
+
+  const data = bytes.subarray(object.start, object.end);
+  if (/\/FlateDecode/.test(object.dict)) {
+    try {
+      object.data = latin1.decode(await inflate(data, 'deflate'));
+    } catch {
+      // Damaged stream: leave it out
+    }
+  } else if (!/\/Filter/.test(object.dict)) {
+    object.data = latin1.decode(data);
+  }
+  return object.data;
+}
+
+function refObject(dict, key, objects) {
+  const match = new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`).exec(dict);
+  return match ? objects.get(Number(match[1])) : undefined;
+}
+
+/**
+ * The text of a dictionary-valued entry: inline << >>, or the dictionary of
+ * the object it references.
+ */
+function dictEntry(dict, key, objects) {
+  const match = new RegExp(`/${key}\\s*(?:<<|(\\d+)\\s+\\d+\\s+R)`).exec(dict);
+  if (!match) return null;
+  if (match[1]) return objects.get(Number(match[1]))?.dict ?? null;
+
+  const start = match.index + match[0].length;
+  let depth = 1;
+  for (let i = start; i < dict.length - 1; i++) {
+    if (dict.startsWith('<<', i)) {
+      depth++;
+      i++;
+    } else if (dict.startsWith('>>', i)) {
+      if (--depth === 0) return dict.slice(start, i);
+      i++;
+    }
+  }
+  return null;
+}
+
+/**
+ * Page objects in reading order, following the page tree from the catalog.
+ */
+function pdfPages(objects) {
+  const pages = [];
+  const walk = (node, depth) => {
+    if (!node || depth > 32) return;
+    if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+      const kids = /\/Kids\s*\[([^\]]*)\]/.exec(node.dict)?.[1] || '';
+      for (const [, num] of kids.matchAll(/(\d+)\s+\d+\s+R/g)) walk(objects.get(Number(num)), depth + 1);
+    } else if (/\/Type\s*\/Page\b/.test(node.dict)) {
+      pages.push(node);
+    }
+  };
+  const catalog = [...objects.values()].find(object => /\/Type\s*\/Catalog\b/.test(object.dict));
+  if (catalog) walk(refObject(catalog.dict, 'Pages', objects), 0);
+  return pages.length ? pages : [...objects.values()].filter(object => /\/Type\s*\/Page\b/.test(object.dict));
+}
+
+/**
+ * Decoders for the fonts a page names in its resources (inherited from the
+ * page tree when the page has none). Decoders are shared through cache.
+ */
+async function pageFonts(bytes, page, objects, cache) {
+  let resources = null;
+  for (let node = page, depth = 0; node && !resources && depth < 32; depth++) {
+    resources = dictEntry(node.dict, 'Resources', objects);
+    node = refObject(node.dict, 'Parent', objects);
+  }
+
+  const fonts = new Map();
+  const fontDict = resources ? dictEntry(resources, 'Font', objects) || '' : '';
+  for (const [, name, num] of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+    if (!cache.has(num)) {
+      const font = objects.get(Number(num));
+      const cmap = font && refObject(font.dict, 'ToUnicode', objects);
+      const data = cmap && await streamData(bytes, cmap);
+      // Type0 glyph ids mean nothing without a map, so they show as nothing
+      cache.set(num, data ? cmapDecoder(data) : /\/Subtype\s*\/Type0\b/.test(font?.dict) ? () => '' : simpleText);
+    }
+    fonts.set(name, cache.get(num));
+  }
+  return fonts;
+}
+
+/**
+ * Text shown by a page's text operators (Tj, TJ, ' and "), decoded through
+ * each font's ToUnicode map when it has one. A move to a new baseline starts
+ * a new line, and a gap of more than about one and a half lines starts a new
+ * paragraph.
+ */
+function contentText(content, fonts = new Map()) {
+  let text = '';
+  let size = 12;
+  let y = 0;
+  let lastY = null;
+  let decode = simpleText;
+  const show = (shown) => {
+    if (lastY !== null && Math.abs(lastY - y) > 0.5) {
+      text += Math.abs(lastY - y) > size * 1.6 ? '\n\n' : '\n';
+    }
+    lastY = y;
+    text += shown;
+  };
+  const string = (token) => decode(token.startsWith('(') ? pdfString(token.slice(1, -1)) : pdfHex(token.slice(1, -1)));
+
+  // Strings inside a TJ array are matched whole, so a ] in one can't end the array
+  const strings = String.raw`\((?:\\.|[^\\)])*\)|<[\da-fA-F\s]*>`;
+  const tokens = new RegExp(String.raw`${strings}|\[((?:${strings}|[^\]()<])*)\]\s*TJ|\/([^\s/<>[\]()]+)\s+(-?[\d.]+)\s+Tf\b|-?[\d.]+\s+(-?[\d.]+)\s+T[dD]\b|(-?[\d.]+)\s+Tm\b|\bT\*|\bBT\b`, 'gs');
+  for (const match of content.matchAll(tokens)) {
+    const [token, array, fontName, fontSize, ty, tmY] = match;
+    if (fontName) {
+      size = Math.abs(parseFloat(fontSize)) || size;
+      decode = fonts.get(fontName) || simpleText;
+    } else if (ty) {
+      y += parseFloat(ty);
+    } else if (tmY) {
+      y = parseFloat(tmY);
+    } else if (token === 'T*') {
+      y -= size * 1.2;
+    } else if (token === 'BT') {
+      y = 0;
+    } else if (array !== undefined) {
+      let shown = '';
+      for (const [part] of array.matchAll(new RegExp(String.raw`${strings}|-?[\d.]+`, 'g'))) {
+        if (/^[(<]/.test(part)) shown += string(part);
+        else if (parseFloat(part) < -200) shown += ' '; // a wide kerning gap is a space
+      }
+      show(shown);
+    } else {
+      show(string(token));
+    }
+  }
+  return text;
+}
+
+/**
+ * Best-effort PDF text: read each page's content streams, decoding text
+ * through the fonts' ToUnicode maps. Handles Flate-compressed files with
+ * or without object streams, as word processors export them. Scanned pages,
+ * text drawn inside form objects, and CID fonts without a ToUnicode map come
+ * out empty.
+ */
+async function pdfText(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const raw = latin1.decode(bytes);
+  if (!raw.startsWith('%PDF')) throw new Error('This PDF could not be read');
+
+  const objects = await pdfObjects(bytes, raw);
+  const fontCache = new Map();
+  const pages = [];
+  for (const page of pdfPages(objects)) {
+    const contents = /\/Contents\s*(?:\[([^\]]*)\]|(\d+\s+\d+\s+R))/.exec(page.dict);
+    let content = '';
+    for (const [, num] of (contents?.[1] ?? contents?.[2] ?? '').matchAll(/(\d+)\s+\d+\s+R/g)) {
+      const stream = objects.get(Number(num));
+      content += `${stream && await streamData(bytes, stream) || ''}\n`;
+    }
+    if (/\bBT\b/.test(content)) pages.push(contentText(content, await pageFonts(bytes, page, objects, fontCache)));
+  }
+
+  // Tidy spacing; textItems joins wrapped lines back into paragraphs
+  return pages.join('\n\n')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
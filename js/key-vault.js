@@ -0,0 +1,134 @@
+/**
+ * Optional encryption at rest for provider API keys.
+ * Keys are stored AES-GCM encrypted under a key derived from a user
+ * passphrase (PBKDF2). Unlocking decrypts them into memory for this page
+ * session only; nothing decrypted is ever written back to storage.
+ */
+
+const STORAGE_KEY = 'lc_key_vault';
+const PBKDF2_ITERATIONS = 250000;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+  // Web Crypto only exists on secure (https or localhost) pages
+  if (!globalThis.crypto?.subtle) throw new Error('Key encryption needs the app to be opened over https');
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export class KeyVault {
+  constructor() {
+    this.keys = null;      // { [providerId]: apiKey } while unlocked
+    this._cryptoKey = null;
+    this._salt = null;
+  }
+
+  isEnabled() {
+    return localStorage.getItem(STORAGE_KEY) !== null;
+  }
+
+  isLocked() {
+    return this.isEnabled() && !this.keys;
+  }
+
+  get(id) {
+    return this.keys?.[id] || '';
+  }
+
+  /**
+   * Start encrypting: store the given keys under a new passphrase.
+   */
+  async enable(passphrase, keys) {
+    try {
+      this._salt = crypto.getRandomValues(new Uint8Array(16));
+      this._cryptoKey = await deriveKey(passphrase, this._salt);
+      this.keys = { ...keys };
+      await this._save();
+    } catch (e) {
+      this.lock();
+      throw e;
+    }
+  }
+
+  /**
+   * Decrypt the stored keys for this session. Throws on a wrong passphrase.
+   */
+  async unlock(passphrase) {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const salt = fromBase64(stored.salt);
+    const cryptoKey = await deriveKey(passphrase, salt);
+    let plain;
+    try {
+      plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(stored.iv) }, cryptoKey, fromBase64(stored.data)
+      );
+    } catch {
+      throw new Error('Wrong passphrase');
+    }
+    this._salt = salt;
+    this._cryptoKey = cryptoKey;
+    this.keys = JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  async set(id, apiKey) {
+    if (!this.keys) throw new Error('Unlock your API keys first');
+    if (apiKey) {
+      this.keys[id] = apiKey;
+    } else {
+      delete this.keys[id];
+    }
+    await this._save();
+  }
+
+  lock() {
+    this.keys = null;
+    this._cryptoKey = null;
+    this._salt = null;
+  }
+
+  /**
+   * Stop encrypting. Returns the decrypted keys so they can be stored plainly.
+   */
+  disable() {
+    if (!this.keys) throw new Error('Unlock your API keys first');
+    const keys = this.keys;
+    localStorage.removeItem(STORAGE_KEY);
+    this.lock();
+    return keys;
+  }
+
+  /**
+   * Drop the encrypted keys, e.g. when the passphrase is forgotten.
+   */
+  forget() {
+    localStorage.removeItem(STORAGE_KEY);
+    this.lock();
+  }
+
+  async _save() {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv }, this._cryptoKey, new TextEncoder().encode(JSON.stringify(this.keys))
+    );
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      salt: toBase64(this._salt),
+      iv: toBase64(iv),
+      data: toBase64(data)
+    }));
+  }
+}
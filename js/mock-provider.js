@@ -0,0 +1,587 @@
+/**
+ * Offline demo provider.
+ * Answers every request on the device, deterministically, from a small bank
+ * of gospel topics (keywords, scriptures, questions), so the whole
+ * prep → live → summary flow works with no network and no key. It reads the
+ * template variables the AI class passes as options.vars, not the prompt text.
+ */
+
+import { findReferences, findSpokenReferences, parseReference, formatReference, sameReference } from './scripture-refs.js';
+
+const TOPICS = [
+  {
+    name: 'Faith',
+    keywords: ['faith', 'believe', 'belief', 'trust', 'doubt'],
+    points: ['Faith is a principle of action and power', 'Faith grows as we experiment upon the word'],
+    scriptures: [
+      { reference: 'Alma 32:21', text: 'And now as I said concerning faith—faith is not to have a perfect knowledge of things; therefore if ye have faith ye hope for things which are not seen, which are true.', context: 'Alma teaches the humble Zoramites what faith is.' },
+      { reference: 'Hebrews 11:1', text: 'Now faith is the substance of things hoped for, the evidence of things not seen.', context: 'Paul opens his great chapter on faith.' }
+    ],
+    questions: ['When has acting in faith come before seeing the result for you?', 'What helps faith grow when answers are slow?', 'How is faith different from simply hoping?']
+  },
+  {
+    name: 'Prayer',
+    keywords: ['prayer', 'pray', 'praying', 'ask', 'answer'],
+    points: ['Heavenly Father hears and answers sincere prayer', 'Prayer is a two-way conversation'],
+    scriptures: [
+      { reference: 'James 1:5', text: 'If any of you lack wisdom, let him ask of God, that giveth to all men liberally, and upbraideth not; and it shall be given him.', context: 'The verse that led Joseph Smith to pray in the grove.' },
+      { reference: '3 Nephi 18:20', text: 'And whatsoever ye shall ask the Father in my name, which is right, believing that ye shall receive, behold it shall be given unto you.', context: 'The risen Savior teaches the Nephites to pray.' }
+    ],
+    questions: ['How have you recognized an answer to prayer?', 'What makes a prayer feel sincere rather than routine?', 'What can we do while we wait for an answer?']
+  },
+  {
+    name: 'Repentance',
+    keywords: ['repentance', 'repent', 'forgive', 'forgiveness', 'sin', 'change'],
+    points: ['Repentance is a daily, joyful turning toward Christ', 'The Lord remembers repented sins no more'],
+    scriptures: [
+      { reference: 'D&C 58:42', text: 'Behold, he who has repented of his sins, the same is forgiven, and I, the Lord, remember them no more.', context: 'The Lord promises complete forgiveness.' },
+      { reference: 'Isaiah 1:18', text: 'Come now, and let us reason together, saith the Lord: though your sins be as scarlet, they shall be as white as snow; though they be red like crimson, they shall be as wool.', context: 'Isaiah invites Israel back to the Lord.' }
+    ],
+    questions: ['Why might repentance feel hard to start?', 'How does forgiving others relate to being forgiven?', 'What does daily repentance look like in practice?']
+  },
+  {
+    name: 'Service',
+    keywords: ['service', 'serve', 'serving', 'minister', 'ministering', 'help'],
+    points: ['Serving others is serving God', 'Ministering starts with noticing'],
+    scriptures: [
+      { reference: 'Mosiah 2:17', text: 'And behold, I tell you these things that ye may learn wisdom; that ye may learn that when ye are in the service of your fellow beings ye are only in the service of your God.', context: 'King Benjamin teaches his people from the tower.' },
+      { reference: 'Matthew 25:40', text: 'And the King shall answer and say unto them, Verily I say unto you, Inasmuch as ye have done it unto one of the least of these my brethren, ye have done it unto me.', context: 'The parable of the sheep and the goats.' }
+    ],
+    questions: ['Who served you when you needed it most?', 'What keeps us from noticing people who need help?', 'How can we minister in small ways this week?']
+  },
+  {
+    name: 'Charity',
+    keywords: ['charity', 'love', 'kindness', 'compassion'],
+    points: ['Charity is the pure love of Christ', 'We love others as He has loved us'],
+    scriptures: [
+      { reference: 'Moroni 7:47', text: 'But charity is the pure love of Christ, and it endureth forever; and whoso is found possessed of it at the last day, it shall be well with him.', context: 'Mormon teaches about faith, hope and charity.' },
+      { reference: 'John 13:34', text: 'A new commandment I give unto you, That ye love one another; as I have loved you, that ye also love one another.', context: 'Jesus teaches His disciples at the Last Supper.' }
+    ],
+    questions: ['How is charity different from being nice?', 'When have you felt loved by someone who did not have to love you?', 'What makes it hard to love some people?']
+  },
+  {
+    name: 'Jesus Christ',
+    keywords: ['jesus', 'christ', 'savior', 'atonement', 'grace', 'redeemer'],
+    points: ['The Savior knows our pains and sicknesses', 'We look to Christ as the source of forgiveness and strength'],
+    scriptures: [
+      { reference: 'Alma 7:11', text: 'And he shall go forth, suffering pains and afflictions and temptations of every kind; and this that the word might be fulfilled which saith he will take upon him the pains and the sicknesses of his people.', context: 'Alma teaches the people of Gideon about the Savior.' },
+      { reference: '2 Nephi 25:26', text: 'And we talk of Christ, we rejoice in Christ, we preach of Christ, we prophesy of Christ, and we write according to our prophecies, that our children may know to what source they may look for a remission of their sins.', context: 'Nephi explains why his people center on Christ.' }
+    ],
+    questions: ['How has the Savior helped you carry something heavy?', 'What does it mean to talk of Christ at home?', 'How does grace change how we see our weaknesses?']
+  },
+  {
+    name: 'Holy Ghost',
+    keywords: ['spirit', 'holy ghost', 'revelation', 'prompting', 'inspiration'],
+    points: ['The Holy Ghost speaks to our minds and hearts', 'We can know truth by the power of the Holy Ghost'],
+    scriptures: [
+      { reference: 'Moroni 10:5', text: 'And by the power of the Holy Ghost ye may know the truth of all things.', context: 'Moroni’s closing promise in the Book of Mormon.' },
+      { reference: 'D&C 8:2', text: 'Yea, behold, I will tell you in your mind and in your heart, by the Holy Ghost, which shall come upon you and which shall dwell in your heart.', context: 'The Lord teaches Oliver Cowdery how revelation comes.' }
+    ],
+    questions: ['How do you recognize the Spirit in your life?', 'What crowds out spiritual promptings?', 'When did acting on a prompting bless someone?']
+  },
+  {
+    name: 'Scripture Study',
+    keywords: ['scripture', 'scriptures', 'study', 'word', 'read', 'reading'],
+    points: ['Feast upon the words of Christ', 'The scriptures tell us what we should do'],
+    scriptures: [
+      { reference: '2 Nephi 32:3', text: 'Angels speak by the power of the Holy Ghost; wherefore, they speak the words of Christ. Wherefore, I said unto you, feast upon the words of Christ; for behold, the words of Christ will tell you all things what ye should do.', context: 'Nephi teaches how to receive guidance.' },
+      { reference: 'Alma 32:28', text: 'Now, we will compare the word unto a seed. Now, if ye give place, that a seed may be planted in your heart, behold, if it be a true seed, or a good seed, if ye do not cast it out by your unbelief, that ye will resist the Spirit of the Lord, behold, it will begin to swell within your breasts.', context: 'Alma begins his comparison of the word to a seed.' }
+    ],
+    questions: ['What is the difference between reading and feasting?', 'What has helped your scripture study stick?', 'Which verse has helped you in a hard moment?']
+  },
+  {
+    name: 'Trials',
+    keywords: ['trial', 'trials', 'adversity', 'hard', 'struggle', 'suffering', 'hope'],
+    points: ['The Lord visits His people in their afflictions', 'Adversity is but a small moment'],
+    scriptures: [
+      { reference: 'Mosiah 24:14', text: 'And I will also ease the burdens which are put upon your shoulders, that even you cannot feel them upon your backs, even while you are in bondage; and this will I do that ye may stand as witnesses for me hereafter, and that ye may know of a surety that I, the Lord God, do visit my people in their afflictions.', context: 'The Lord strengthens Alma’s people in bondage.' },
+      { reference: 'D&C 121:7', text: 'My son, peace be unto thy soul; thine adversity and thine afflictions shall be but a small moment;', context: 'The Lord comforts Joseph Smith in Liberty Jail.' }
+    ],
+    questions: ['How has the Lord eased a burden without removing it?', 'What helps you hold on during a long trial?', 'How can we support someone who is struggling right now?']
+  },
+  {
+    name: 'Obedience',
+    keywords: ['obedience', 'obey', 'commandment', 'commandments', 'covenant', 'covenants'],
+    points: ['The Lord prepares a way for us to keep His commandments', 'Obedience is an expression of love'],
+    scriptures: [
+      { reference: '1 Nephi 3:7', text: 'And it came to pass that I, Nephi, said unto my father: I will go and do the things which the Lord hath commanded, for I know that the Lord giveth no commandments unto the children of men, save he shall prepare a way for them that they may accomplish the thing which he commandeth him.', context: 'Nephi agrees to return for the brass plates.' },
+      { reference: 'John 14:15', text: 'If ye love me, keep my commandments.', context: 'Jesus teaches His disciples before Gethsemane.' }
+    ],
+    questions: ['When has the Lord prepared a way for you?', 'How does love change the way we obey?', 'Which commandment has blessed you most unexpectedly?']
+  },
+  {
+    name: 'Gratitude',
+    keywords: ['gratitude', 'grateful', 'thankful', 'thanks', 'blessing', 'blessings'],
+    points: ['Confess His hand in all things', 'Gratitude changes how we see our circumstances'],
+    scriptures: [
+      { reference: 'D&C 59:21', text: 'And in nothing doth man offend God, or against none is his wrath kindled, save those who confess not his hand in all things, and obey not his commandments.', context: 'The Lord teaches the Saints in Zion about the Sabbath and gratitude.' },
+      { reference: 'Psalm 100:4', text: 'Enter into his gates with thanksgiving, and into his courts with praise: be thankful unto him, and bless his name.', context: 'A psalm of thanksgiving.' }
+    ],
+    questions: ['Where have you seen the Lord’s hand this week?', 'How does gratitude help in hard times?', 'How can we show gratitude and not just feel it?']
+  }
+];
+
+const GENERAL = {
+  name: 'Discipleship',
+  keywords: ['disciple', 'discipleship', 'gospel'],
+  points: ['Following Jesus Christ day to day', 'Small and simple things bring great things to pass'],
+  scriptures: [
+    { reference: 'Moses 1:39', text: 'For behold, this is my work and my glory—to bring to pass the immortality and eternal life of man.', context: 'God reveals His purpose to Moses.' },
+    { reference: 'Alma 37:6', text: 'Now ye may suppose that this is foolishness in me; but behold I say unto you, that by small and simple things are great things brought to pass; and small means in many instances doth confound the wise.', context: 'Alma teaches his son Helaman.' }
+  ],
+  questions: ['What does following Christ look like on an ordinary Tuesday?', 'What small habit has made a big difference for you?', 'What would you like to take home from today?']
+};
+
+const ALL_TOPICS = [...TOPICS, GENERAL];
+
+function hash(text) {
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) h = ((h * 33) ^ text.charCodeAt(i)) >>> 0;
+  return h;
+}
+
+function pick(list, seed) {
+  return list[seed % list.length];
+}
+
+function wordCount(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Topics mentioned in the text, most mentioned first. Falls back to GENERAL.
+ */
+function topicsFor(text) {
+  const lower = ` ${(text || '').toLowerCase()} `;
+  const scored = TOPICS
+    .map(topic => ({
+      topic,
+      score: [topic.name.toLowerCase(), ...topic.keywords]
+        .reduce((sum, k) => sum + (lower.split(new RegExp(`\\b${k}\\b`)).length - 1), 0)
+    }))
+    .filter(t => t.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(t => t.topic);
+  return scored.length ? scored : [GENERAL];
+}
+
+const BANK = ALL_TOPICS.flatMap(t => t.scriptures);
+
+/**
+ * Bank scriptures whose book and chapter are mentioned, written or spoken.
+ */
+function referencesIn(text) {
+  const mentioned = [...findReferences(text), ...findSpokenReferences(text)];
+  return BANK.filter(s => {
+    const chapter = { ...parseReference(s.reference), verses: [] };
+    return mentioned.some(r => sameReference(r, chapter));
+  });
+}
+
+function findScripture(reference) {
+  const parsed = parseReference(reference || '');
+  return parsed && BANK.find(s => formatReference(parseReference(s.reference)) === formatReference(parsed));
+}
+
+function scriptureBlock(s) {
+  return { type: 'scripture', content: s.reference, detail: s.context };
+}
+
+// ---- Responders, one per response schema ----
+
+function lessonOutline(text) {
+  const [main, second = GENERAL] = topicsFor(text);
+  const other = second === main ? GENERAL : second;
+  return [
+    { type: 'point', content: main.points[0], detail: `Open by asking what ${main.name.toLowerCase()} means to the class` },
+    scriptureBlock(main.scriptures[0]),
+    { type: 'question', content: main.questions[0], detail: '' },
+    { type: 'point', content: other.points[0], detail: `Connect ${other.name.toLowerCase()} back to ${main.name.toLowerCase()}` },
+    scriptureBlock(other.scriptures[0]),
+    { type: 'question', content: main.questions[1], detail: '' },
+    { type: 'note', content: 'Invite a class member to share an experience, then close with testimony', detail: '' }
+  ];
+}
+
+function talkOutline(text, count) {
+  const [main, second = GENERAL] = topicsFor(text);
+  const other = second === main ? GENERAL : second;
+  const pool = [
+    { type: 'point', content: `Opening: why ${main.name.toLowerCase()} matters to me`, detail: 'Start with a short personal story' },
+    scriptureBlock(main.scriptures[0]),
+    { type: 'point', content: main.points[0], detail: main.scriptures[0].context },
+    { type: 'note', content: `Share an experience with ${main.name.toLowerCase()}`, detail: 'Keep it under two minutes' },
+    scriptureBlock(main.scriptures[1]),
+    { type: 'point', content: other.points[0], detail: `How ${other.name.toLowerCase()} supports ${main.name.toLowerCase()}` },
+    scriptureBlock(other.scriptures[0]),
+    { type: 'point', content: main.points[1], detail: 'Invite listeners to act this week' }
+  ];
+  return [
+    ...pool.slice(0, Math.min(Math.max(3, count) - 1, pool.length)),
+    { type: 'note', content: 'Bear testimony', detail: '' }
+  ];
+}
+
+/**
+ * A new block of the requested type that is not already in the outline.
+ */
+function newBlock(type, topic, seed, existing) {
+  const taken = new Set(existing.map(b => b.content));
+  const fresh = (list) => list.find(c => !taken.has(c)) ?? pick(list, seed);
+
+  switch (type) {
+    case 'scripture':
+      return scriptureBlock(topic.scriptures.find(s => !taken.has(s.reference)) ?? pick(topic.scriptures, seed));
+    case 'question':
+      return { type, content: fresh(topic.questions), detail: '' };
+    case 'quote': {
+      const s = pick(topic.scriptures, seed);
+      return { type, content: `"${truncate(s.text, 120)}"`, detail: s.reference };
+    }
+    case 'note':
+      return { type, content: `Share a personal story about ${topic.name.toLowerCase()}`, detail: '' };
+    default:
+      return { type: 'point', content: fresh(topic.points), detail: '' };
+  }
+}
+
+/**
+ * One block reworked. v.block is "Type: ...\nContent: ..." and v.blocks a
+ * numbered outline, as the AI class formats them; options.action names the
+ * BLOCK_ACTIONS entry.
+ */
+function blockAction(v, options) {
+  const content = (v.block || '').match(/^Content: (.*)$/m)?.[1] || '';
+  const topic = topicsFor(`${content} ${v.title}`)[0];
+  const existing = (v.blocks || '').split('\n').map(line => ({ content: line.replace(/^\d+\. \[\w+\] /, '') }));
+  const seed = hash(content);
+  const empty = { content: '', detail: '', notes: '', newBlocks: [] };
+
+  switch (options.action) {
+    case 'expand': {
+      const s = pick(topic.scriptures, seed);
+      return {
+        ...empty,
+        notes: `I want to start with this idea: ${content.replace(/[.?!]$/, '')}. ${s.context} In ${s.reference} we read, "${truncate(s.text, 100)}" I have seen this in my own life, and I would like to hear how you have seen it too.`
+      };
+    }
+    case 'shorten':
+      return { ...empty, content: content.split(/[,;:—]/)[0].split(/\s+/).slice(0, 6).join(' ') };
+    case 'questions': {
+      const first = newBlock('question', topic, seed, existing);
+      const second = newBlock('question', topic, seed + 1, [...existing, first]);
+      return { ...empty, newBlocks: [first, second] };
+    }
+    case 'scripture':
+      return { ...empty, newBlocks: [newBlock('scripture', topic, seed, existing)] };
+    case 'story':
+      return {
+        ...empty,
+        content: `Share a time when you saw that ${content.charAt(0).toLowerCase()}${content.slice(1).replace(/[.?!]$/, '')}`,
+        detail: `A short, specific experience with ${topic.name.toLowerCase()} works best`
+      };
+    default:
+      return empty;
+  }
+}
+
+function planChat(v) {
+  let blocks = [];
+  try {
+    blocks = JSON.parse(v.blocks);
+  } catch {}
+  if (!Array.isArray(blocks)) blocks = [];
+
+  const message = (v.message || '').toLowerCase();
+  const topic = topicsFor(`${v.message} ${v.title} ${v.content}`)[0];
+  const seed = hash(message) + blocks.length;
+  const isTalk = v.duration !== undefined;
+
+  if (/\b(remove|delete|drop|cut)\b/.test(message) && blocks.length) {
+    const n = message.match(/\d+/);
+    const index = n
+      ? Math.min(blocks.length, Math.max(1, Number(n[0]))) - 1
+      : (/\bfirst\b/.test(message) ? 0 : blocks.length - 1);
+    const [removed] = blocks.splice(index, 1);
+    return { reply: `Removed "${removed.content}".`, blocks, blocksChanged: true };
+  }
+
+  if (/\b(add|include|another|more|need)\b/.test(message)) {
+    const type = ['question', 'scripture', 'quote', 'note', 'point'].find(t => message.includes(t))
+      || (message.includes('story') ? 'note' : 'point');
+    const block = newBlock(type, topic, seed, blocks);
+    return { reply: `Added a ${type} about ${topic.name.toLowerCase()}.`, blocks: [...blocks, block], blocksChanged: true };
+  }
+
+  if (!blocks.length || /\b(outline|plan|start|draft|generate)\b/.test(message)) {
+    const text = `${v.title} ${v.content} ${v.message}`;
+    return {
+      reply: `Here's a starting outline built around ${topic.name.toLowerCase()}.`,
+      blocks: isTalk ? talkOutline(text, Number(v.duration) || 10) : lessonOutline(text),
+      blocksChanged: true
+    };
+  }
+
+  return {
+    reply: `(Offline demo) Try "add a question", "add a scripture" or "remove block 2". ${pick(topic.scriptures, seed).reference} fits well with ${topic.name.toLowerCase()}.`,
+    blocks,
+    blocksChanged: false
+  };
+}
+
+function liveSuggestion(v) {
+  const transcript = v.transcript || '';
+  const seed = hash(transcript);
+  const [topic] = topicsFor(`${transcript} ${v.currentBlock}`);
+  const mentioned = referencesIn(transcript)[0];
+
+  if (mentioned) {
+    return {
+      type: 'scripture',
+      suggestion: `${mentioned.reference}: ${mentioned.context}`,
+      bullets: [truncate(mentioned.text, 100)],
+      reference: mentioned.reference
+    };
+  }
+
+  if (transcript.includes('?')) {
+    const s = pick(topic.scriptures, seed);
+    return {
+      type: 'doctrine',
+      suggestion: `Answer briefly, then tie it back to "${topic.points[0]}"`,
+      bullets: [`${s.reference} — ${truncate(s.text, 80)}`, 'Invite someone else to add their view'],
+      reference: s.reference
+    };
+  }
+
+  const blockTopic = topicsFor(v.currentBlock)[0];
+  if (v.currentBlock && blockTopic !== GENERAL && !topicsFor(transcript).includes(blockTopic) && seed % 3 === 0) {
+    return {
+      type: 'redirect',
+      suggestion: `Bring it back to "${truncate(v.currentBlock, 60)}"`,
+      bullets: ['Thank them for the comment and connect it to the current point', `Ask: ${pick(blockTopic.questions, seed)}`],
+      reference: ''
+    };
+  }
+
+  if (seed % 2 === 0) {
+    const s = pick(topic.scriptures, seed >>> 1);
+    return {
+      type: 'scripture',
+      suggestion: `Read ${s.reference} together`,
+      bullets: [truncate(s.text, 100), s.context],
+      reference: s.reference
+    };
+  }
+
+  return {
+    type: 'question',
+    suggestion: pick(topic.questions, seed >>> 1),
+    bullets: [`Follow up: ${pick(topic.questions, (seed >>> 1) + 1)}`],
+    reference: ''
+  };
+}
+
+function help(v) {
+  const seed = hash(v.transcript || '');
+  const [topic] = topicsFor(`${v.transcript} ${v.currentBlock} ${v.title}`);
+  const s = pick(topic.scriptures, seed);
+  return {
+    type: 'help',
+    suggestion: `Ask the class: ${pick(topic.questions, seed)}`,
+    bullets: ['Give them ten seconds of silence to think', `Or read ${s.reference} and ask what stands out`],
+    reference: s.reference
+  };
+}
+
+function deliveryTip(v) {
+  const transcript = v.transcript || '';
+  const seed = hash(transcript);
+  const words = wordCount(transcript);
+  const sentences = transcript.split(/[.!?]+/).filter(s => s.trim()).length || 1;
+
+  if (words / sentences > 30) {
+    return { type: 'pacing', suggestion: 'Slow down and let your sentences land', bullets: ['Pause after each key idea'] };
+  }
+
+  return pick([
+    { type: 'encouragement', suggestion: 'You are doing well. Keep going.', bullets: ['Look up and make eye contact'] },
+    { type: 'emphasis', suggestion: 'Pause after your most important line', bullets: ['Repeat it once, a little slower'] },
+    { type: 'transition', suggestion: `Bridge to your next point from "${truncate(v.currentBlock || 'this section', 40)}"`, bullets: ['Summarize this section in one sentence first'] }
+  ], seed);
+}
+
+function runningSummary(v) {
+  const text = `${v.summary === 'Nothing yet.' ? '' : v.summary} ${v.transcript}`;
+  const topics = topicsFor(text).slice(0, 3);
+  const refs = [...new Set(referencesIn(text).map(s => s.reference))];
+  const questions = (v.transcript.match(/\?/g) || []).length;
+  return {
+    summary: [
+      `Topics so far: ${topics.map(t => t.name).join(', ')}.`,
+      refs.length ? `Scriptures mentioned: ${refs.join(', ')}.` : '',
+      questions ? `${questions} question${questions === 1 ? '' : 's'} raised in the latest part.` : ''
+    ].filter(Boolean).join(' ')
+  };
+}
+
+function lessonSummary(v) {
+  const transcript = v.transcript || '';
+  const topics = topicsFor(transcript).slice(0, 3);
+  const main = topics[0];
+  return {
+    themes: topics.map(t => `${t.name}: ${t.points[0]}`),
+    insights: `Most of the discussion centered on ${main.name.toLowerCase()} (${wordCount(transcript)} words over ${v.duration || 0} min, ${v.coveredBlocks}/${v.totalBlocks} blocks covered).`,
+    followUp: [
+      `Invite the class to read ${main.scriptures[0].reference} this week`,
+      `Start next time with: ${main.questions[2]}`
+    ]
+  };
+}
+
+function talkSummary(v) {
+  const transcript = v.transcript || '';
+  const words = wordCount(transcript);
+  const minutes = Number(v.duration) || 1;
+  const wpm = Math.round(words / minutes);
+  const [topic] = topicsFor(transcript);
+  const refs = referencesIn(transcript);
+
+  const strengths = [`Stayed centered on ${topic.name.toLowerCase()}`];
+  if (wpm >= 110 && wpm <= 160) strengths.push('Comfortable speaking pace');
+  if (refs.length) strengths.push(`Used scripture (${refs[0].reference})`);
+
+  const improvements = [];
+  if (wpm > 160) improvements.push('Slow down; aim for about 140 words per minute');
+  if (wpm < 100) improvements.push('Tighten long pauses between points');
+  if (!refs.length) improvements.push('Read at least one scripture aloud');
+  if (!improvements.length) improvements.push('Add one short personal story');
+
+  return {
+    assessment: `You spoke about ${topic.name.toLowerCase()} for ${v.duration || 0} min at about ${wpm} words per minute.`,
+    strengths,
+    improvements,
+    encouragement: 'Thank you for preparing and sharing. Sincere talks bless the people who hear them.'
+  };
+}
+
+function scripture(v) {
+  const found = findScripture(v.reference);
+  if (found) return { reference: found.reference, text: found.text, context: found.context };
+  return { reference: v.reference || '', text: 'This verse is not in the offline demo library.', context: '' };
+}
+
+/**
+ * Keep the opening paragraphs that fit, plus the scripture reference list.
+ */
+function articleSummary(v) {
+  const paragraphs = (v.article || '').split(/\n{2,}/);
+  const references = paragraphs.find(p => p.startsWith('Scripture references:'));
+  const kept = [];
+  let length = 0;
+  for (const p of paragraphs) {
+    if (p === references) continue;
+    if (length + p.length > 3000) break;
+    kept.push(p);
+    length += p.length;
+  }
+  if (references) kept.push(references);
+  return { content: kept.join('\n\n') };
+}
+
+const RESPONDERS = {
+  articleSummary,
+  planChat,
+  lessonBlocks: (v) => ({
+    blocks: lessonOutline(`${v.title} ${v.content}`).slice(0, Math.max(3, Number(v.blockCount) || 7)),
+    estimatedMinutes: Number(v.duration) || 40
+  }),
+  talkBlocks: (v) => ({
+    blocks: talkOutline(`${v.title} ${v.scriptures} ${v.content}`, Number(v.blockCount) || Math.ceil((Number(v.duration) || 10) / 2)),
+    estimatedMinutes: Number(v.duration) || 10
+  }),
+  blockAction,
+  liveSuggestion,
+  help,
+  deliveryTip,
+  runningSummary,
+  lessonSummary,
+  talkSummary,
+  scripture,
+  transcription: () => ({ transcript: '', type: '', suggestion: '', bullets: [], reference: '' })
+};
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Request cancelled', 'AbortError'));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Request cancelled', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class MockProvider {
+  constructor() {
+    this.id = 'mock';
+    this.label = 'Offline demo';
+    this.supportsAudio = false;
+    this.apiKey = '';
+    this.model = 'offline-demo';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  modelFor() {
+    return this.model;
+  }
+
+  _respond(options) {
+    const responder = RESPONDERS[options.schemaName];
+    return responder ? JSON.stringify(responder(options.vars || {}, options)) : 'ok';
+  }
+
+  // Rough token counts (about four characters each) so the usage ledger has something to show
+  _reportUsage(messages, text, options) {
+    const promptChars = messages.reduce((sum, m) => sum + m.parts.reduce((n, p) => n + (p.text?.length || 0), 0), 0);
+    options.onUsage?.({ promptTokens: Math.ceil(promptChars / 4), responseTokens: Math.ceil(text.length / 4) });
+  }
+
+  async generate(messages, options = {}) {
+    await wait(300, options.signal);
+    const text = this._respond(options);
+    this._reportUsage(messages, text, options);
+    return text;
+  }
+
+  /**
+   * Yield the response in small pieces to exercise streaming UI.
+   */
+  async *stream(messages, options = {}) {
+    const text = this._respond(options);
+    for (let i = 0; i < text.length; i += 24) {
+      await wait(30, options.signal);
+      yield text.slice(i, i + 24);
+    }
+    this._reportUsage(messages, text, options);
+  }
+
+  async validate() {
+    return true;
+  }
+
+  async listModels() {
+    return [this.model];
+  }
+}
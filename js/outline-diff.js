@@ -0,0 +1,249 @@
+/**
+ * Outline diffing for AI-proposed block edits.
+ * diffBlocks() matches proposed blocks to current ones (exact match first,
+ * then by wording) and lists the changes: added, edited, removed, and one
+ * reorder change covering every block that moved. applyOutlineDiff() builds
+ * the final outline from the changes the user accepted. Unchanged blocks
+ * always keep the user's own notes.
+ */
+
+const SIMILARITY_THRESHOLD = 0.4;
+// Scripture block fields that belong to its reference
+const VERSE_FIELDS = ['verseText', 'translation', 'highlight', 'verseSource'];
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function words(text) {
+  return new Set(normalize(text).match(/[a-z0-9]+/g) || []);
+}
+
+function similarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size === 0 || wb.size === 0) return 0;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+function blockKey(block) {
+  return `${block.type}|${normalize(block.content)}`;
+}
+
+function notesReplaced(before, after) {
+  return after.notes !== undefined && after.notes !== (before.notes || '') && !!before.notes;
+}
+
+function blockChanged(before, after) {
+  return before.type !== after.type ||
+    before.content !== after.content ||
+    (before.detail || '') !== (after.detail || '') ||
+    (after.notes !== undefined && after.notes !== (before.notes || ''));
+}
+
+/**
+ * Old indexes that can stay put: the longest increasing run of old indexes
+ * in proposed order. Everything else counts as moved.
+ */
+function stableIndexes(order) {
+  const tails = [];
+  const prev = new Array(order.length).fill(-1);
+  order.forEach((value, k) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (order[tails[mid]] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) prev[k] = tails[lo - 1];
+    tails[lo] = k;
+  });
+
+  const stable = new Set();
+  for (let k = tails[tails.length - 1] ?? -1; k >= 0; k = prev[k]) stable.add(order[k]);
+  return stable;
+}
+
+/**
+ * Compare the current outline with a proposed one.
+ * Returns { oldBlocks, newBlocks, match, changes } where match[newIndex] is
+ * the matching old index (or -1) and each change has a unique id.
+ */
+export function diffBlocks(oldBlocks, newBlocks) {
+  const match = new Array(newBlocks.length).fill(-1);
+  const used = new Set();
+
+  newBlocks.forEach((block, j) => {
+    const i = oldBlocks.findIndex((old, i) => !used.has(i) && blockKey(old) === blockKey(block));
+    if (i >= 0) {
+      match[j] = i;
+      used.add(i);
+    }
+  });
+
+  newBlocks.forEach((block, j) => {
+    if (match[j] >= 0) return;
+    let best = -1;
+    let bestScore = SIMILARITY_THRESHOLD;
+    oldBlocks.forEach((old, i) => {
+      if (used.has(i)) return;
+      const score = similarity(old.content, block.content);
+      if (score >= bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+    if (best >= 0) {
+      match[j] = best;
+      used.add(best);
+    }
+  });
+
+  const changes = [];
+  let id = 0;
+
+  newBlocks.forEach((block, j) => {
+    const i = match[j];
+    if (i < 0) {
+      changes.push({ id: id++, kind: 'added', newIndex: j, after: block });
+    } else if (blockChanged(oldBlocks[i], block)) {
+      changes.push({
+        id: id++,
+        kind: 'edited',
+        oldIndex: i,
+        newIndex: j,
+        before: oldBlocks[i],
+        after: block,
+        replacesNotes: notesReplaced(oldBlocks[i], block)
+      });
+    }
+  });
+
+  oldBlocks.forEach((block, i) => {
+    if (!used.has(i)) {
+      changes.push({ id: id++, kind: 'removed', oldIndex: i, before: block, removesNotes: !!block.notes });
+    }
+  });
+
+  const order = match.filter(i => i >= 0);
+  const stable = stableIndexes(order);
+  const moved = order.filter(i => !stable.has(i));
+  if (moved.length) {
+    changes.push({ id: id++, kind: 'moved', oldIndexes: moved });
+  }
+
+  return { oldBlocks, newBlocks, match, changes };
+}
+
+/**
+ * Index of the item to insert after: the one with the largest `field`
+ * still below `limit`. Returns the splice position.
+ */
+function insertPosition(items, field, limit) {
+  let pos = 0;
+  let bestValue = -1;
+  items.forEach((item, k) => {
+    if (item[field] >= 0 && item[field] < limit && item[field] > bestValue) {
+      bestValue = item[field];
+      pos = k + 1;
+    }
+  });
+  return pos;
+}
+
+/**
+ * Build the outline that results from accepting some changes.
+ * isAccepted(change) decides each one; everything else stays as it was.
+ */
+export function applyOutlineDiff(diff, isAccepted) {
+  const { oldBlocks, newBlocks, match, changes } = diff;
+  const byNew = {};
+  const byOld = {};
+  for (const c of changes) {
+    if (c.kind === 'added' || c.kind === 'edited') byNew[c.newIndex] = c;
+    if (c.kind === 'removed') byOld[c.oldIndex] = c;
+  }
+
+  // The block at proposed position j, or null if it should not appear
+  const resolve = (j) => {
+    const change = byNew[j];
+    const old = oldBlocks[match[j]];
+    if (!change) return old;
+    if (change.kind === 'added') return isAccepted(change) ? { detail: '', notes: '', ...newBlocks[j] } : null;
+    if (!isAccepted(change)) return old;
+    const after = newBlocks[j];
+    const block = { ...old, ...after, notes: after.notes !== undefined ? after.notes : (old.notes || '') };
+    if (block.content !== old.content) VERSE_FIELDS.forEach(field => delete block[field]);
+    return block;
+  };
+
+  const reorder = changes.find(c => c.kind === 'moved');
+  const items = [];
+
+  if (!reorder || isAccepted(reorder)) {
+    newBlocks.forEach((_, j) => {
+      const block = resolve(j);
+      if (block) items.push({ block, oldIndex: match[j] });
+    });
+    // Rejected removals go back after their old neighbour
+    changes
+      .filter(c => c.kind === 'removed' && !isAccepted(c))
+      .sort((a, b) => a.oldIndex - b.oldIndex)
+      .forEach(c => {
+        items.splice(insertPosition(items, 'oldIndex', c.oldIndex), 0, { block: c.before, oldIndex: c.oldIndex });
+      });
+  } else {
+    const newIndexOf = {};
+    match.forEach((i, j) => { if (i >= 0) newIndexOf[i] = j; });
+    oldBlocks.forEach((old, i) => {
+      if (newIndexOf[i] !== undefined) {
+        const block = resolve(newIndexOf[i]);
+        if (block) items.push({ block, newIndex: newIndexOf[i] });
+      } else if (!isAccepted(byOld[i])) {
+        items.push({ block: old, newIndex: -1 });
+      }
+    });
+    // Accepted additions go after their proposed neighbour
+    changes
+      .filter(c => c.kind === 'added' && isAccepted(c))
+      .sort((a, b) => a.newIndex - b.newIndex)
+      .forEach(c => {
+        items.splice(insertPosition(items, 'newIndex', c.newIndex), 0, { block: resolve(c.newIndex), newIndex: c.newIndex });
+      });
+  }
+
+  return items.map(item => item.block);
+}
+
+/**
+ * Rows for displaying a diff: proposed order, with removed blocks shown
+ * after their old neighbour. Each row is { newIndex?, change?, moved }.
+ */
+export function diffRows(diff) {
+  const { newBlocks, match, changes } = diff;
+  const reorder = changes.find(c => c.kind === 'moved');
+  const moved = new Set(reorder?.oldIndexes || []);
+  const byNew = {};
+  for (const c of changes) {
+    if (c.kind === 'added' || c.kind === 'edited') byNew[c.newIndex] = c;
+  }
+
+  const rows = newBlocks.map((_, j) => ({
+    newIndex: j,
+    oldIndex: match[j],
+    change: byNew[j] || null,
+    moved: match[j] >= 0 && moved.has(match[j])
+  }));
+
+  changes
+    .filter(c => c.kind === 'removed')
+    .sort((a, b) => a.oldIndex - b.oldIndex)
+    .forEach(c => {
+      rows.splice(insertPosition(rows, 'oldIndex', c.oldIndex), 0, { oldIndex: c.oldIndex, change: c, moved: false });
+    });
+
+  return rows;
+}
@@ -0,0 +1,120 @@
+/**
+ * Lenient JSON parsing for streamed model output.
+ * parsePartialJSON turns an incomplete JSON document into the largest
+ * valid value it can: open strings are closed, half-written keys, numbers
+ * and literals are dropped, and open objects/arrays are closed.
+ */
+
+function stripFences(text) {
+  return text.replace(/```json\s*/g, '').replace(/```\s*/g, '');
+}
+
+/**
+ * Parse a possibly-truncated JSON object or array. Returns null if nothing usable yet.
+ */
+export function parsePartialJSON(text) {
+  const cleaned = stripFences(text || '');
+  const start = cleaned.search(/[{[]/);
+  if (start < 0) return null;
+  const src = cleaned.slice(start);
+
+  try {
+    return JSON.parse(src);
+  } catch {}
+
+  // Each frame is an open object/array. safeEnd is the offset just after its
+  // last complete member, so cutting there always leaves valid JSON.
+  const stack = [];
+  let inString = false;
+  let stringIsKey = false;
+  let escape = false;
+  let unicodeStart = -1;
+  let tokenStart = -1;
+
+  const completeValue = (end) => {
+    const frame = stack[stack.length - 1];
+    if (!frame) return;
+    frame.state = 'comma';
+    frame.safeEnd = end;
+  };
+
+  let i = 0;
+  for (; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inString) {
+      if (unicodeStart >= 0) {
+        if (i - unicodeStart >= 5) unicodeStart = -1;
+        else continue;
+      }
+      if (escape) {
+        escape = false;
+        if (ch === 'u') unicodeStart = i - 1;
+      } else if (ch === '\\') {
+        escape = true;
+      } else if (ch === '"') {
+        inString = false;
+        if (stringIsKey) {
+          stack[stack.length - 1].state = 'colon';
+        } else {
+          completeValue(i + 1);
+        }
+      }
+      continue;
+    }
+
+    // End of a bare number or literal
+    if (tokenStart >= 0 && !/[\w.+-]/.test(ch)) {
+      completeValue(i);
+      tokenStart = -1;
+    }
+
+    const frame = stack[stack.length - 1];
+
+    if (ch === '"') {
+      inString = true;
+      stringIsKey = frame?.type === 'object' && frame.state === 'key';
+    } else if (ch === '{' || ch === '[') {
+      stack.push({ type: ch === '{' ? 'object' : 'array', state: ch === '{' ? 'key' : 'value', safeEnd: i + 1 });
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      completeValue(i + 1);
+      if (stack.length === 0) break;
+    } else if (ch === ':') {
+      if (frame) frame.state = 'value';
+    } else if (ch === ',') {
+      if (frame) frame.state = frame.type === 'object' ? 'key' : 'value';
+    } else if (/[\w.+-]/.test(ch) && tokenStart < 0) {
+      tokenStart = i;
+    }
+  }
+
+  if (stack.length === 0) {
+    try {
+      return JSON.parse(src.slice(0, i + 1));
+    } catch {
+      return null;
+    }
+  }
+
+  let out;
+  if (inString && !stringIsKey) {
+    // Keep the partial string value so text can render as it streams
+    let body = src;
+    if (unicodeStart >= 0) body = body.slice(0, unicodeStart);
+    else if (escape) body = body.slice(0, -1);
+    out = body + '"';
+  } else {
+    out = src.slice(0, stack[stack.length - 1].safeEnd);
+  }
+
+  for (let f = stack.length - 1; f >= 0; f--) {
+    out += stack[f].type === 'object' ? '}' : ']';
+  }
+
+  try {
+    return JSON.parse(out);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,569 @@
+/**
+ * Prompt templates.
+ * Every AI prompt is a template with {{variable}} placeholders. The shipped
+ * prompts form the built-in set; users can add their own sets, edit or reset
+ * single prompts, pick one set for lessons and one for talks, and move sets
+ * between devices as JSON.
+ */
+
+const STORAGE_KEY = 'lc_prompt_templates';
+export const DEFAULT_SET_ID = 'default';
+const SET_ID_PATTERN = /^[\w-]{1,40}$/;
+const MAX_SET_NAME_CHARS = 60;
+
+export const PROMPTS = {
+  planLesson: {
+    label: 'Lesson planning chat',
+    variables: ['title', 'content', 'blocks', 'message'],
+    text: `You are a collaborative lesson planning assistant for LDS Elders Quorum lessons.
+
+Current lesson context:
+- Title: "{{title}}"
+- Content/Notes: {{content}}
+
+Current outline blocks:
+{{blocks}}
+
+Earlier turns of this conversation come before this message. Use them to resolve references like "that", "the second one" or "undo that".
+
+User's message: {{message}}
+
+Respond conversationally AND update the blocks if needed. Your response format:
+{
+  "reply": "Your conversational response to the user (1-3 sentences)",
+  "blocks": [
+    { "type": "point", "content": "...", "detail": "..." },
+    { "type": "scripture", "content": "Reference", "detail": "Context" },
+    { "type": "question", "content": "...", "detail": "" }
+  ],
+  "blocksChanged": true or false
+}
+
+Block types: point, scripture, question, quote, note
+
+Guidelines:
+- If user asks to add/remove/change blocks, do it and set blocksChanged: true
+- If user just asks a question or chats, reply helpfully and return existing blocks with blocksChanged: false
+- Keep blocks concise (1-2 sentences each)
+- Be helpful and collaborative, not formal
+
+Return ONLY valid JSON.`
+  },
+
+  planTalk: {
+    label: 'Talk planning chat',
+    variables: ['title', 'scriptures', 'duration', 'content', 'blocks', 'message'],
+    text: `You are a collaborative talk planning assistant for LDS church talks.
+
+Current talk context:
+- Topic: "{{title}}"
+- Scriptures: "{{scriptures}}"
+- Duration: {{duration}} minutes
+- Notes: {{content}}
+
+Current outline blocks:
+{{blocks}}
+
+Earlier turns of this conversation come before this message. Use them to resolve references like "that", "the second one" or "undo that".
+
+User's message: {{message}}
+
+Respond conversationally AND update the blocks if needed. Your response format:
+{
+  "reply": "Your conversational response (1-3 sentences)",
+  "blocks": [
+    { "type": "point", "content": "...", "detail": "..." },
+    { "type": "scripture", "content": "Reference", "detail": "Context" }
+  ],
+  "blocksChanged": true or false
+}
+
+Block types: point, scripture, question, quote, note
+
+Guidelines:
+- If user asks to add/remove/change blocks, do it and set blocksChanged: true
+- Keep the talk appropriately sized for {{duration}} minutes
+- Be helpful and encouraging
+- Keep blocks concise
+
+Return ONLY valid JSON.`
+  },
+
+  lessonBlocks: {
+    label: 'Lesson outline',
+    variables: ['title', 'content', 'duration', 'blockCount', 'mix'],
+    text: `You are a teaching assistant helping prepare a {{duration}}-minute Elders Quorum discussion lesson.
+
+Title: "{{title}}"
+Content/Notes: {{content}}
+
+Generate a lesson outline as blocks, using {{mix}}. Block types:
+- point: Key ideas to discuss
+- scripture: Relevant scripture references
+- question: Discussion questions
+- quote: Conference talk quotes (optional)
+
+Format as JSON:
+{
+  "blocks": [
+    { "type": "point", "content": "Main idea", "detail": "Supporting detail" },
+    { "type": "scripture", "content": "Alma 32:21", "detail": "Faith is not a perfect knowledge" },
+    { "type": "question", "content": "Discussion question?", "detail": "" }
+  ],
+  "estimatedMinutes": {{duration}}
+}
+
+Generate {{blockCount}} blocks. Keep each concise. Set estimatedMinutes to how long the outline would take to teach. Return ONLY valid JSON.`
+  },
+
+  talkBlocks: {
+    label: 'Talk outline',
+    variables: ['title', 'scriptures', 'content', 'duration', 'blockCount', 'mix'],
+    text: `You are a speaking coach helping prepare a {{duration}}-minute talk.
+
+Topic: "{{title}}"
+Scriptures: "{{scriptures}}"
+Notes: {{content}}
+
+Generate a talk outline as blocks for {{duration}} minutes (~{{blockCount}} blocks), using {{mix}}.
+
+Format as JSON:
+{
+  "blocks": [
+    { "type": "point", "content": "Opening/intro", "detail": "Hook or story" },
+    { "type": "scripture", "content": "Reference", "detail": "Key verse" },
+    { "type": "point", "content": "Main point", "detail": "Explanation" },
+    { "type": "note", "content": "Bear testimony", "detail": "" }
+  ],
+  "estimatedMinutes": {{duration}}
+}
+
+Keep blocks concise. Set estimatedMinutes to how long the outline would take to deliver. Return ONLY valid JSON.`
+  },
+
+  blockAction: {
+    label: 'Lesson outline block action',
+    variables: ['title', 'blocks', 'block', 'instruction'],
+    text: `You are helping prepare an LDS Elders Quorum lesson titled "{{title}}".
+
+Full outline, for context:
+{{blocks}}
+
+The block to work on:
+{{block}}
+
+Task: {{instruction}}
+
+Format as JSON:
+{
+  "content": "",
+  "detail": "",
+  "notes": "",
+  "newBlocks": [
+    { "type": "question", "content": "...", "detail": "" }
+  ]
+}
+
+Fill only the fields the task names; leave the other strings empty and newBlocks as [] unless the task asks for new blocks. Block types: point, scripture, question, quote, note. Return ONLY valid JSON.`
+  },
+
+  talkBlockAction: {
+    label: 'Talk outline block action',
+    variables: ['title', 'blocks', 'block', 'instruction'],
+    text: `You are a speaking coach helping write an LDS church talk titled "{{title}}". The speaker delivers it alone to the congregation, so there is no class discussion: any question in the talk is one the speaker asks and answers.
+
+The talk's outline, in speaking order:
+{{blocks}}
+
+The part of the talk to work on:
+{{block}}
+
+Task: {{instruction}}
+
+Format as JSON:
+{
+  "content": "",
+  "detail": "",
+  "notes": "What the speaker would say, in their own voice",
+  "newBlocks": [
+    { "type": "scripture", "content": "Reference", "detail": "Key phrase" }
+  ]
+}
+
+Fill only the fields the task names; leave the other strings empty and newBlocks as [] unless the task asks for new blocks. Keep wording warm and personal, suited to speaking from the pulpit. Block types: point, scripture, question, quote, note. Return ONLY valid JSON.`
+  },
+
+  liveSuggestion: {
+    label: 'Live lesson suggestion',
+    variables: ['context', 'title', 'currentBlock', 'sessionContext', 'transcript', 'suggestionTypes'],
+    required: ['suggestionTypes'],
+    text: `You are a real-time teaching assistant for an LDS Elders Quorum lesson.
+
+{{context}}
+
+{{sessionContext}}
+
+Recent discussion (last 15 seconds):
+{{transcript}}
+
+Provide ONE helpful suggestion:
+1. **scripture** - Identify a referenced story/scripture
+2. **doctrine** - Answer a hard question + pivot back
+3. **question** - Follow-up question
+4. **redirect** - Gentle refocus
+
+Format as JSON:
+{
+  "type": {{suggestionTypes}},
+  "suggestion": "Main point (1 line)",
+  "bullets": ["bullet 1", "bullet 2"],
+  "reference": "Source if applicable"
+}
+
+Max 2 bullets. Return ONLY valid JSON.`
+  },
+
+  help: {
+    label: '"I need help" button',
+    variables: ['context', 'title', 'currentBlock', 'sessionContext', 'transcript'],
+    text: `Help a Sunday School teacher who pressed "I need help".
+
+{{context}}
+
+{{sessionContext}}
+
+Recent discussion:
+{{transcript}}
+
+Provide immediate, actionable help:
+{
+  "type": "help",
+  "suggestion": "What to do right now",
+  "bullets": ["action 1", "action 2"],
+  "reference": "Scripture if applicable"
+}
+
+Return ONLY valid JSON.`
+  },
+
+  deliveryTip: {
+    label: 'Live talk delivery tip',
+    variables: ['currentBlock', 'talk', 'sessionContext', 'transcript', 'suggestionTypes'],
+    required: ['suggestionTypes'],
+    text: `Speaking coach for a church talk.
+
+Current section: "{{currentBlock}}"
+Talk: {{talk}}
+
+{{sessionContext}}
+
+Recent transcript:
+{{transcript}}
+
+Give ONE delivery tip:
+{
+  "type": {{suggestionTypes}},
+  "suggestion": "Main advice",
+  "bullets": ["tip"]
+}
+
+Return ONLY valid JSON.`
+  },
+
+  transcription: {
+    label: 'Live audio transcription',
+    variables: ['context', 'sessionContext', 'suggestionTypes', 'language'],
+    required: ['suggestionTypes'],
+    text: `Real-time assistant.
+
+{{context}}
+
+{{sessionContext}}
+
+The speakers talk in {{language}}. Transcribe the audio in {{language}}, then suggest:
+{
+  "transcript": "what was said",
+  "type": {{suggestionTypes}},
+  "suggestion": "Main point",
+  "bullets": ["bullet"],
+  "reference": "Source"
+}
+
+If silent, return empty strings. Return ONLY valid JSON.`
+  },
+
+  runningSummary: {
+    label: 'Running session summary',
+    variables: ['sessionKind', 'summary', 'transcript'],
+    text: `Keep a running summary of a church {{sessionKind}} in progress.
+
+Summary so far:
+{{summary}}
+
+New transcript since then:
+{{transcript}}
+
+Write an updated summary covering the whole session: topics covered, questions raised, scriptures mentioned. Keep it under 120 words.
+
+Format:
+{
+  "summary": "Updated running summary"
+}
+
+Return ONLY valid JSON.`
+  },
+
+  lessonSummary: {
+    label: 'Lesson summary',
+    variables: ['title', 'duration', 'coveredBlocks', 'totalBlocks', 'transcript'],
+    text: `Summarize this Elders Quorum lesson.
+
+Lesson: "{{title}}"
+Duration: {{duration}} min
+Blocks: {{coveredBlocks}}/{{totalBlocks}}
+
+Transcript:
+{{transcript}}
+
+Format:
+{
+  "themes": ["theme 1", "theme 2"],
+  "insights": "Key insight",
+  "followUp": ["suggestion"]
+}
+
+Return ONLY valid JSON.`
+  },
+
+  talkSummary: {
+    label: 'Talk feedback',
+    variables: ['title', 'duration', 'transcript'],
+    text: `Review this church talk.
+
+Topic: "{{title}}"
+Duration: {{duration}} min
+
+Transcript:
+{{transcript}}
+
+Format:
+{
+  "assessment": "Overall (1-2 sentences)",
+  "strengths": ["strength 1"],
+  "improvements": ["area 1"],
+  "encouragement": "Note"
+}
+
+Return ONLY valid JSON.`
+  },
+
+  scripture: {
+    label: 'Scripture lookup',
+    variables: ['reference'],
+    text: `Look up this scripture reference and provide the verse text.
+
+Reference: "{{reference}}"
+
+Format as JSON:
+{
+  "reference": "Canonical reference with the English book name (e.g., Alma 32:21)",
+  "text": "The verse text",
+  "context": "Brief context (1 sentence)"
+}
+
+Return ONLY valid JSON.`
+  },
+
+  articleSummary: {
+    label: 'Condense a long imported page',
+    variables: ['title', 'author', 'article'],
+    text: `Condense this church talk or lesson material into preparation notes.
+
+Title: "{{title}}"
+Speaker/author: "{{author}}"
+
+{{article}}
+
+Keep the main points, key stories and quotes in their original order, using the author's words where possible. Keep every scripture reference. Do not add anything that is not in the text. Stay under 4000 characters.
+
+Format as JSON:
+{
+  "content": "The condensed text"
+}
+
+Return ONLY valid JSON.`
+  }
+};
+
+/**
+ * Fill {{name}} placeholders. Unknown names become empty, and the blank
+ * lines left behind by empty optional sections are collapsed.
+ */
+export function fillTemplate(text, vars = {}) {
+  return text
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (vars[name] ?? '').toString())
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Required variables a template text leaves out. These carry values the
+ * response schema depends on, such as the fixed suggestion types.
+ */
+export function missingVariables(key, text) {
+  return (PROMPTS[key].required || []).filter(name => !new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(text));
+}
+
+export class PromptTemplates {
+  _load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+      return { sets: data.sets || {}, active: data.active || {} };
+    } catch {
+      return { sets: {}, active: {} };
+    }
+  }
+
+  _save(data) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  }
+
+  /**
+   * All template sets, built-in first: [{ id, name, builtIn }]
+   */
+  list() {
+    const { sets } = this._load();
+    return [
+      { id: DEFAULT_SET_ID, name: 'Default (Elders Quorum)', builtIn: true },
+      ...Object.entries(sets)
+        .filter(([id]) => id !== DEFAULT_SET_ID)
+        .map(([id, set]) => ({ id, name: set.name, builtIn: false }))
+    ];
+  }
+
+  /**
+   * The set used for a session type ('lesson' or 'talk').
+   */
+  getActive(mode) {
+    const { sets, active } = this._load();
+    const id = active[mode];
+    return id && (id === DEFAULT_SET_ID || sets[id]) ? id : DEFAULT_SET_ID;
+  }
+
+  setActive(mode, setId) {
+    const data = this._load();
+    data.active[mode] = setId;
+    this._save(data);
+  }
+
+  get(key, setId = DEFAULT_SET_ID) {
+    const { sets } = this._load();
+    return sets[setId]?.prompts?.[key] ?? PROMPTS[key].text;
+  }
+
+  isCustomized(key, setId) {
+    const { sets } = this._load();
+    return sets[setId]?.prompts?.[key] !== undefined;
+  }
+
+  save(setId, key, text) {
+    const missing = missingVariables(key, text);
+    if (missing.length > 0) {
+      throw new Error(`This prompt must keep ${missing.map(name => `{{${name}}}`).join(', ')}`);
+    }
+    const data = this._load();
+    const set = data.sets[setId] || (data.sets[setId] = { name: setId, prompts: {} });
+    set.prompts = { ...set.prompts, [key]: text };
+    this._save(data);
+  }
+
+  /**
+   * Go back to the shipped text for one prompt in a set.
+   */
+  reset(setId, key) {
+    const data = this._load();
+    if (data.sets[setId]?.prompts) {
+      delete data.sets[setId].prompts[key];
+      this._save(data);
+    }
+  }
+
+  /**
+   * New set starting as a copy of another. Returns its id.
+   */
+  create(name, fromId = DEFAULT_SET_ID) {
+    const data = this._load();
+    const id = Date.now().toString();
+    data.sets[id] = { name, prompts: { ...(data.sets[fromId]?.prompts || {}) } };
+    this._save(data);
+    return id;
+  }
+
+  remove(setId) {
+    if (setId === DEFAULT_SET_ID) return;
+    const data = this._load();
+    delete data.sets[setId];
+    for (const mode of Object.keys(data.active)) {
+      if (data.active[mode] === setId) delete data.active[mode];
+    }
+    this._save(data);
+  }
+
+  /**
+   * Render the prompt for `key` from the set chosen for `mode`.
+   */
+  render(key, vars, mode = 'lesson') {
+    return fillTemplate(this.get(key, this.getActive(mode)), vars);
+  }
+
+  /**
+   * JSON text of every customized set, for backup or sharing.
+   */
+  export() {
+    const { sets } = this._load();
+    return JSON.stringify({ version: 1, sets }, null, 2);
+  }
+
+  /**
+   * Add sets from exported JSON. An id that is reserved, malformed or
+   * already taken gets a fresh one, so an import never replaces an existing
+   * set; customizations of the built-in set arrive as a set of their own.
+   * Names are trimmed, capped and made unique. Unknown prompt names and
+   * prompts missing a required variable are ignored. Returns the number of
+   * sets imported.
+   */
+  import(json) {
+    let incoming;
+    try {
+      incoming = JSON.parse(json)?.sets;
+    } catch {
+      throw new Error('Not a valid templates file');
+    }
+    if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) throw new Error('Not a valid templates file');
+
+    const data = this._load();
+    const names = new Set(this.list().map(t => t.name));
+    let count = 0;
+    for (const [id, set] of Object.entries(incoming)) {
+      if (!set || typeof set !== 'object') continue;
+
+      const prompts = {};
+      for (const [key, text] of Object.entries(set.prompts || {})) {
+        if (PROMPTS[key] && typeof text === 'string' && missingVariables(key, text).length === 0) prompts[key] = text;
+      }
+
+      const reserved = id === DEFAULT_SET_ID;
+      const newId = reserved || !SET_ID_PATTERN.test(id) || data.sets[id] ? `${Date.now()}-${count}` : id;
+      const given = typeof set.name === 'string' ? set.name.replace(/\s+/g, ' ').trim().slice(0, MAX_SET_NAME_CHARS) : '';
+      const base = reserved ? 'Default (imported)' : given || 'Imported';
+      let name = base;
+      for (let n = 2; names.has(name); n++) name = `${base} (${n})`;
+      names.add(name);
+
+      data.sets[newId] = { name, prompts };
+      count++;
+    }
+    this._save(data);
+    return count;
+  }
+}
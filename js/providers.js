@@ -0,0 +1,389 @@
+/**
+ * AI provider adapters.
+ * Each provider turns a generic request (a list of messages made of text
+ * and audio parts) into its backend's HTTP shape, and maps the response
+ * and errors back. The AI class only ever talks to this interface.
+ *
+ * Message shape: { role: 'user' | 'assistant', parts: [{ text } | { audio: { mimeType, data } }] }
+ * Options: temperature, maxTokens, signal, schema/schemaName for structured JSON output,
+ * model to override the provider's default model,
+ * onUsage({ promptTokens, responseTokens }), called once token counts are known,
+ * and vars, the template variables behind the prompt (only the offline provider reads them).
+ *
+ * Each provider also routes task classes (live, planning, summary, transcription)
+ * to models through modelFor(task), with overrides from config.models, and
+ * lists the models its key can use through listModels().
+ */
+
+import { MockProvider } from './mock-provider.js';
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+export class ProviderError extends Error {
+  constructor(message, status = 0, { retryable = RETRYABLE_STATUSES.has(status), retryAfterMs = 0 } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Friendly message for an HTTP status, used when the server gives none.
+ */
+function statusMessage(status) {
+  if (status === 401 || status === 403) return 'API key was rejected';
+  if (status === 404) return 'Model not found';
+  if (status === 429) return 'Rate limit reached. Try again shortly.';
+  if (status >= 500) return 'AI service is unavailable right now';
+  return `API error: ${status}`;
+}
+
+async function toProviderError(res) {
+  const err = await res.json().catch(() => ({}));
+  const message = err.error?.message || (typeof err.error === 'string' ? err.error : '');
+  const retryAfter = parseFloat(res.headers?.get('retry-after'));
+  return new ProviderError(message || statusMessage(res.status), res.status, {
+    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : 0
+  });
+}
+
+/**
+ * fetch() that reports network failures as retryable ProviderErrors.
+ * Aborts pass through untouched so callers can tell them apart.
+ */
+async function post(url, init, label) {
+  try {
+    return await fetch(url, { method: 'POST', ...init });
+  } catch (e) {
+    if (e.name === 'AbortError' || init.signal?.aborted) throw e;
+    throw new ProviderError(`Could not reach ${label}`, 0, { retryable: true });
+  }
+}
+
+async function get(url, init, label) {
+  return post(url, { ...init, method: 'GET' }, label);
+}
+
+/**
+ * Yield the data payload of each server-sent event in a streaming response.
+ */
+async function* readServerEvents(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+
+  const rest = buffer.trim();
+  if (rest.startsWith('data:')) yield rest.slice(5).trim();
+}
+
+// ---- Google Gemini ----
+
+// Live requests favour latency; the rest use the standard model
+const GEMINI_TASK_MODELS = {
+  live: 'gemini-2.0-flash-lite',
+  planning: 'gemini-2.0-flash',
+  summary: 'gemini-2.0-flash',
+  transcription: 'gemini-2.0-flash'
+};
+
+function geminiUsage(meta) {
+  return {
+    promptTokens: meta?.promptTokenCount || 0,
+    responseTokens: (meta?.candidatesTokenCount || 0) + (meta?.thoughtsTokenCount || 0)
+  };
+}
+
+/**
+ * Gemini's responseSchema spells types in upper case (OBJECT, STRING, ...).
+ */
+function toGeminiSchema(schema) {
+  const out = { ...schema, type: schema.type.toUpperCase() };
+  if (schema.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, prop]) => [key, toGeminiSchema(prop)])
+    );
+  }
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  return out;
+}
+
+export class GeminiProvider {
+  constructor(config = {}) {
+    this.id = 'gemini';
+    this.label = 'Google Gemini';
+    this.supportsAudio = true;
+    this.apiKey = config.apiKey || '';
+    this.model = config.model || 'gemini-2.0-flash';
+    this.models = { ...GEMINI_TASK_MODELS, ...config.models };
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+  }
+
+  isConfigured() {
+    return this.apiKey.length > 0;
+  }
+
+  modelFor(task) {
+    return this.models[task] || this.model;
+  }
+
+  // The key goes in a header so it stays out of URLs, logs and caches
+  _headers() {
+    return { 'Content-Type': 'application/json', 'x-goog-api-key': this.apiKey };
+  }
+
+  _toContents(messages) {
+    return messages.map(m => ({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: m.parts.map(p => p.audio
+        ? { inlineData: { mimeType: p.audio.mimeType, data: p.audio.data } }
+        : { text: p.text })
+    }));
+  }
+
+  _body(messages, options) {
+    const generationConfig = {
+      temperature: options.temperature ?? 0.7,
+      maxOutputTokens: options.maxTokens ?? 1024
+    };
+    if (options.schema) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = toGeminiSchema(options.schema);
+    }
+    return {
+      contents: this._toContents(messages),
+      generationConfig
+    };
+  }
+
+  async _post(method, messages, options) {
+    if (!this.isConfigured()) throw new ProviderError('No API key configured');
+
+    const params = method === 'streamGenerateContent' ? '?alt=sse' : '';
+    const model = options.model || this.model;
+    const res = await post(`${this.baseUrl}/${model}:${method}${params}`, {
+      headers: this._headers(),
+      body: JSON.stringify(this._body(messages, options)),
+      signal: options.signal
+    }, this.label);
+
+    if (!res.ok) throw await toProviderError(res);
+    return res;
+  }
+
+  async generate(messages, options = {}) {
+    const res = await this._post('generateContent', messages, options);
+    const data = await res.json();
+    options.onUsage?.(geminiUsage(data.usageMetadata));
+    return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  }
+
+  /**
+   * Yield response text as it is generated.
+   */
+  async *stream(messages, options = {}) {
+    const res = await this._post('streamGenerateContent', messages, options);
+    let usage = null; // every chunk carries the running totals
+    for await (const event of readServerEvents(res)) {
+      try {
+        const data = JSON.parse(event);
+        if (data.usageMetadata) usage = data.usageMetadata;
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (text) yield text;
+      } catch {}
+    }
+    options.onUsage?.(geminiUsage(usage));
+  }
+
+  async validate() {
+    try {
+      await this.generate([{ role: 'user', parts: [{ text: 'Reply "ok"' }] }], { maxTokens: 8 });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Models this key can call generateContent on.
+   */
+  async listModels() {
+    const res = await get(`${this.baseUrl}?pageSize=1000`, { headers: this._headers() }, this.label);
+    if (!res.ok) throw await toProviderError(res);
+    const data = await res.json();
+    return (data.models || [])
+      .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+      .map(m => m.name.replace(/^models\//, ''))
+      .sort();
+  }
+}
+
+// ---- OpenAI-compatible (/v1/chat/completions) ----
+
+function openAIUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    responseTokens: usage?.completion_tokens || 0
+  };
+}
+
+export class OpenAIProvider {
+  constructor(config = {}) {
+    this.id = 'openai';
+    this.label = 'OpenAI-compatible';
+    this.supportsAudio = false;
+    this.apiKey = config.apiKey || '';
+    this.model = config.model || 'gpt-4o-mini';
+    this.models = { ...config.models };
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return this.apiKey.length > 0 && this.baseUrl.length > 0 && this.model.length > 0;
+  }
+
+  modelFor(task) {
+    return this.models[task] || this.model;
+  }
+
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  _toMessages(messages) {
+    return messages.map(m => {
+      if (m.parts.some(p => p.audio)) {
+        throw new ProviderError(`${this.label} does not support audio input`);
+      }
+      return {
+        role: m.role,
+        content: m.parts.map(p => p.text).join('\n')
+      };
+    });
+  }
+
+  async _post(messages, options, stream = false) {
+    if (!this.isConfigured()) throw new ProviderError(`${this.label} is not configured`);
+
+    const body = {
+      model: options.model || this.model,
+      messages: this._toMessages(messages),
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens ?? 1024,
+      stream
+    };
+    if (stream) {
+      // Ask for a final chunk with token counts
+      body.stream_options = { include_usage: true };
+    }
+    if (options.schema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: options.schemaName || 'response', schema: options.schema }
+      };
+    }
+
+    const res = await post(`${this.baseUrl}/chat/completions`, {
+      headers: this._headers(),
+      body: JSON.stringify(body),
+      signal: options.signal
+    }, this.baseUrl);
+
+    if (!res.ok) throw await toProviderError(res);
+    return res;
+  }
+
+  async generate(messages, options = {}) {
+    const res = await this._post(messages, options);
+    const data = await res.json();
+    options.onUsage?.(openAIUsage(data.usage));
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * Yield response text as it is generated.
+   */
+  async *stream(messages, options = {}) {
+    const res = await this._post(messages, options, true);
+    let usage = null;
+    for await (const event of readServerEvents(res)) {
+      if (event === '[DONE]') break;
+      try {
+        const data = JSON.parse(event);
+        if (data.usage) usage = data.usage;
+        const text = data.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      } catch {}
+    }
+    options.onUsage?.(openAIUsage(usage));
+  }
+
+  async validate() {
+    try {
+      await this.generate([{ role: 'user', parts: [{ text: 'Reply "ok"' }] }], { maxTokens: 8 });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Model ids the endpoint serves, from /models.
+   */
+  async listModels() {
+    const res = await get(`${this.baseUrl}/models`, { headers: this._headers() }, this.baseUrl);
+    if (!res.ok) throw await toProviderError(res);
+    const data = await res.json();
+    return (data.data || []).map(m => m.id).sort();
+  }
+}
+
+// ---- Local server (Ollama, llama.cpp, LM Studio) ----
+
+/**
+ * Local servers speak the OpenAI chat format but usually need no key.
+ */
+export class LocalProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super({
+      apiKey: config.apiKey || '',
+      model: config.model || 'llama3.1',
+      models: config.models,
+      baseUrl: config.baseUrl || 'http://localhost:11434/v1'
+    });
+    this.id = 'local';
+    this.label = 'Local server';
+  }
+
+  isConfigured() {
+    return this.baseUrl.length > 0 && this.model.length > 0;
+  }
+}
+
+export const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+export function createProvider(id, config = {}) {
+  const Provider = PROVIDERS[id] || GeminiProvider;
+  return new Provider(config);
+}
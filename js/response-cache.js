@@ -0,0 +1,106 @@
+/**
+ * Persistent cache for AI lookups whose answer doesn't change, like scripture
+ * text or a fetched talk. Entries are keyed by method and normalized input,
+ * expire after a TTL, and the least recently used ones are dropped once the
+ * cache grows past its size cap. Expired entries are kept until evicted so
+ * they can still be served when the network is down.
+ */
+
+const STORAGE_KEY = 'lc_ai_cache';
+const MAX_ENTRIES = 300;
+const MAX_CHARS = 300000;
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a scripture reference: "  doctrine and covenants 4 : 2 " -> "d&c 4:2"
+ */
+export function normalizeReferenceKey(reference) {
+  return (reference || '')
+    .toLowerCase()
+    .replace(/doctrine\s+(and|&)\s+covenants/g, 'd&c')
+    .replace(/\s*([:\-–,])\s*/g, '$1')
+    .replace(/–/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/[.;]+$/, '')
+    .trim();
+}
+
+/**
+ * Normalize a URL: drop the fragment, tracking parameters and trailing slash.
+ */
+export function normalizeUrlKey(url) {
+  try {
+    const u = new URL(url.trim());
+    u.hash = '';
+    for (const key of [...u.searchParams.keys()]) {
+      if (key.startsWith('utm_')) u.searchParams.delete(key);
+    }
+    return u.toString().replace(/\/$/, '');
+  } catch {
+    return url.trim();
+  }
+}
+
+export class ResponseCache {
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  _save(entries) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch {
+      // Storage full: a cache is never worth failing a request over
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Cached value, or undefined. Expired entries are only returned with allowStale.
+   */
+  get(method, key, { allowStale = false } = {}) {
+    const entries = this._load();
+    const entry = entries[`${method}:${key}`];
+    if (!entry) return undefined;
+    if (!allowStale && entry.expires < Date.now()) return undefined;
+
+    entry.used = Date.now();
+    this._save(entries);
+    return entry.value;
+  }
+
+  set(method, key, value, ttlMs) {
+    const entries = this._load();
+    const now = Date.now();
+    entries[`${method}:${key}`] = { value, expires: now + ttlMs, used: now };
+    this._save(this._evict(entries));
+  }
+
+  /**
+   * Drop least recently used entries until under both caps.
+   */
+  _evict(entries) {
+    const keys = Object.keys(entries).sort((a, b) => entries[b].used - entries[a].used);
+    let chars = 0;
+    const kept = {};
+    for (const key of keys) {
+      chars += key.length + JSON.stringify(entries[key].value).length;
+      if (Object.keys(kept).length >= MAX_ENTRIES || chars > MAX_CHARS) break;
+      kept[key] = entries[key];
+    }
+    return kept;
+  }
+
+  get size() {
+    return Object.keys(this._load()).length;
+  }
+
+  clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Live suggestion scheduler.
+ * Sits between Speech and AI: keeps one request in flight at a time,
+ * merges text chunks that queue up behind it, stays under a
+ * requests-per-minute budget, and blanks suggestions that repeat
+ * ones already shown.
+ */
+
+const MAX_MERGED_CHARS = 1500;
+
+function tokens(text) {
+  return new Set((text || '').toLowerCase().match(/[a-z0-9]+/g)?.filter(w => w.length > 2) || []);
+}
+
+function similarity(a, b) {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function normalizeReference(ref) {
+  return (ref || '').toLowerCase().replace(/[^a-z0-9:&]/g, '');
+}
+
+/**
+ * True if a suggestion closely matches one already shown: same reference,
+ * or mostly the same words.
+ */
+export function isDuplicateSuggestion(suggestion, shown, threshold = 0.6) {
+  if (!suggestion?.suggestion) return false;
+  const ref = normalizeReference(suggestion.reference);
+  return shown.some(prev =>
+    (ref && ref === normalizeReference(prev.reference)) ||
+    similarity(suggestion.suggestion, prev.suggestion) >= threshold
+  );
+}
+
+export class SuggestionScheduler {
+  constructor(getShown = () => []) {
+    this.maxPerMinute = 10;
+    this.run = null;       // async (job) => result - performs the AI request
+    this.onResult = null;  // callback(result, job)
+    this.onError = null;   // callback(error, job)
+    this._getShown = getShown;
+    this._queue = [];
+    this._busy = false;
+    this._sentAt = [];
+    this._timer = null;
+    this._stopped = true;
+    this._session = 0; // bumped on stop so in-flight results from a past session are ignored
+  }
+
+  start(maxPerMinute = this.maxPerMinute) {
+    this.stop();
+    this.maxPerMinute = maxPerMinute;
+    this._sentAt = [];
+    this._stopped = false;
+  }
+
+  stop() {
+    this._stopped = true;
+    this._session++;
+    this._queue = [];
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Queue a text chunk. Consecutive queued chunks merge into one request.
+   */
+  enqueueText(text) {
+    const last = this._queue[this._queue.length - 1];
+    if (last?.type === 'text') {
+      last.text = `${last.text} ${text}`.slice(-MAX_MERGED_CHARS);
+    } else {
+      this._queue.push({ type: 'text', text });
+    }
+    this._pump();
+  }
+
+  /**
+   * Queue an audio chunk. Audio can't be merged, so each is sent in order.
+   * span ({ start, end, blockIndex }) travels with the job to place its transcript.
+   */
+  enqueueAudio(data, mimeType, span) {
+    this._queue.push({ type: 'audio', data, mimeType, span });
+    this._pump();
+  }
+
+  /**
+   * Queue any other job (e.g. a background context refresh) to share the budget.
+   */
+  enqueue(job) {
+    this._queue.push(job);
+    this._pump();
+  }
+
+  get pending() {
+    return this._queue.length + (this._busy ? 1 : 0);
+  }
+
+  /**
+   * Milliseconds until another request fits in the per-minute budget.
+   */
+  _budgetWait() {
+    const now = Date.now();
+    this._sentAt = this._sentAt.filter(t => now - t < 60000);
+    if (this._sentAt.length < this.maxPerMinute) return 0;
+    return 60000 - (now - this._sentAt[0]);
+  }
+
+  async _pump() {
+    if (this._stopped || this._busy || this._queue.length === 0 || !this.run) return;
+
+    const wait = this._budgetWait();
+    if (wait > 0) {
+      if (!this._timer) {
+        this._timer = setTimeout(() => {
+          this._timer = null;
+          this._pump();
+        }, wait);
+      }
+      return;
+    }
+
+    const job = this._queue.shift();
+    const session = this._session;
+    this._busy = true;
+    this._sentAt.push(Date.now());
+
+    try {
+      let result = await this.run(job);
+      if (session !== this._session) return;
+      // Repeats are blanked rather than dropped so transcripts still come through
+      if (isDuplicateSuggestion(result, this._getShown())) {
+        result = { ...result, suggestion: '' };
+      }
+      this.onResult?.(result, job);
+    } catch (e) {
+      if (session === this._session) this.onError?.(e, job);
+    } finally {
+      this._busy = false;
+      this._pump();
+    }
+  }
+}
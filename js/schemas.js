@@ -0,0 +1,251 @@
+/**
+ * JSON schemas for every structured AI response, plus a small validator.
+ * Schemas use the JSON Schema subset that both Gemini's responseSchema and
+ * OpenAI's json_schema response format understand: type, properties,
+ * required, items, enum, maxItems and description.
+ */
+
+export class SchemaError extends Error {
+  constructor(errors) {
+    super(`The AI returned an unexpected response (${errors[0]})`);
+    this.name = 'SchemaError';
+    this.errors = errors;
+  }
+}
+
+export const BLOCK_TYPES = ['point', 'scripture', 'question', 'quote', 'note'];
+// Suggestion types are fixed: the app has a label and icon for each, and
+// templates get them through {{suggestionTypes}} rather than naming their own
+export const LESSON_SUGGESTION_TYPES = ['scripture', 'doctrine', 'question', 'redirect'];
+export const TALK_SUGGESTION_TYPES = ['pacing', 'transition', 'emphasis', 'encouragement'];
+
+const string = { type: 'string' };
+const strings = (maxItems) => ({ type: 'array', items: string, ...(maxItems ? { maxItems } : {}) });
+// References stay English whatever the session language, so the app can parse them
+const reference = { type: 'string', description: 'Scripture reference with the English book name, e.g. "Alma 32:21"' };
+
+const block = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: BLOCK_TYPES },
+    content: string,
+    detail: string
+  },
+  required: ['type', 'content']
+};
+
+const suggestion = (types) => ({
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: types },
+    suggestion: string,
+    bullets: strings(2),
+    reference
+  },
+  required: ['type', 'suggestion', 'bullets']
+});
+
+export const SCHEMAS = {
+  articleSummary: {
+    type: 'object',
+    properties: {
+      content: string
+    },
+    required: ['content']
+  },
+  planChat: {
+    type: 'object',
+    properties: {
+      reply: string,
+      blocks: { type: 'array', items: block },
+      blocksChanged: { type: 'boolean' }
+    },
+    required: ['reply', 'blocks', 'blocksChanged']
+  },
+  lessonBlocks: {
+    type: 'object',
+    properties: {
+      blocks: { type: 'array', items: block },
+      estimatedMinutes: { type: 'integer' }
+    },
+    required: ['blocks']
+  },
+  talkBlocks: {
+    type: 'object',
+    properties: {
+      blocks: { type: 'array', items: block },
+      estimatedMinutes: { type: 'integer' }
+    },
+    required: ['blocks']
+  },
+  blockAction: {
+    type: 'object',
+    properties: {
+      content: string,
+      detail: string,
+      notes: string,
+      newBlocks: { type: 'array', items: block, maxItems: 2 }
+    }
+  },
+  liveSuggestion: suggestion(LESSON_SUGGESTION_TYPES),
+  help: suggestion(['help']),
+  deliveryTip: suggestion(TALK_SUGGESTION_TYPES),
+  lessonSummary: {
+    type: 'object',
+    properties: {
+      themes: strings(),
+      insights: string,
+      followUp: strings()
+    },
+    required: ['themes', 'insights', 'followUp']
+  },
+  talkSummary: {
+    type: 'object',
+    properties: {
+      assessment: string,
+      strengths: strings(),
+      improvements: strings(),
+      encouragement: string
+    },
+    required: ['assessment', 'strengths', 'improvements']
+  },
+  runningSummary: {
+    type: 'object',
+    properties: {
+      summary: string
+    },
+    required: ['summary']
+  },
+  scripture: {
+    type: 'object',
+    properties: {
+      reference,
+      text: string,
+      context: string
+    },
+    required: ['reference', 'text']
+  },
+  // Silent audio comes back as empty strings, so type is not an enum here
+  transcription: {
+    type: 'object',
+    properties: {
+      transcript: string,
+      type: string,
+      suggestion: string,
+      bullets: strings(2),
+      reference
+    },
+    required: ['transcript', 'suggestion']
+  }
+};
+
+function defaultFor(schema) {
+  switch (schema.type) {
+    case 'array': return [];
+    case 'boolean': return false;
+    case 'integer':
+    case 'number': return 0;
+    case 'object': return {};
+    default: return '';
+  }
+}
+
+/**
+ * Fix the small, unambiguous mistakes models make: wrong scalar types,
+ * a lone string where a list belongs, enum casing, too many items, and
+ * missing optional fields. Anything else is left for validate() to report.
+ */
+export function repair(value, schema) {
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+      const out = { ...value };
+      for (const [key, prop] of Object.entries(schema.properties || {})) {
+        if (out[key] === undefined || out[key] === null) {
+          if (!schema.required?.includes(key)) out[key] = defaultFor(prop);
+        } else {
+          out[key] = repair(out[key], prop);
+        }
+      }
+      return out;
+    }
+    case 'array': {
+      let list = value;
+      if (typeof list === 'string' && schema.items?.type === 'string') list = list ? [list] : [];
+      if (!Array.isArray(list)) return value;
+      if (schema.maxItems) list = list.slice(0, schema.maxItems);
+      return list.map(item => repair(item, schema.items || {}));
+    }
+    case 'string': {
+      if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+      if (schema.enum && typeof value === 'string' && !schema.enum.includes(value)) {
+        return schema.enum.find(e => e === value.trim().toLowerCase()) ?? value;
+      }
+      return value;
+    }
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    case 'integer':
+    case 'number': {
+      const n = typeof value === 'string' ? Number(value) : value;
+      if (typeof n !== 'number' || Number.isNaN(n)) return value;
+      return schema.type === 'integer' ? Math.round(n) : n;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a value against a schema. Returns a list of problems (empty when valid).
+ */
+export function validate(value, schema, path = 'response') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        break;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key} is missing`);
+      }
+      for (const [key, prop] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...validate(value[key], prop, `${path}.${key}`));
+        }
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list`);
+        break;
+      }
+      if (schema.maxItems && value.length > schema.maxItems) {
+        errors.push(`${path} has more than ${schema.maxItems} items`);
+      }
+      value.forEach((item, i) => errors.push(...validate(item, schema.items || {}, `${path}[${i}]`)));
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be text`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path} must be true or false`);
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) errors.push(`${path} must be a whole number`);
+      break;
+    case 'number':
+      if (typeof value !== 'number') errors.push(`${path} must be a number`);
+      break;
+  }
+
+  return errors;
+}
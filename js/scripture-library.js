@@ -0,0 +1,273 @@
+/**
+ * Local scripture library.
+ * Verse text imported from a JSON or CSV dump of the standard works and kept
+ * in IndexedDB, so lookups are instant and work offline. Verses are keyed by
+ * [book, chapter, verse] with book the canonical name from scripture-refs.js.
+ *
+ * Accepted files:
+ * - Nested JSON: { books: [{ book, chapters: [{ chapter, verses: [{ verse, text }] }] }] }
+ *   or { sections: [{ section, verses }] } for the Doctrine and Covenants
+ * - Flat JSON: an array of verse rows
+ * - CSV with a header row
+ * Rows name their verse by reference ("Alma 32:21", "verse_title") or by
+ * book, chapter and verse columns ("book_title", "chapter_number",
+ * "verse_number"), with the text in "text" or "scripture_text".
+ */
+
+import { parseReference, formatReference } from './scripture-refs.js';
+
+const DB_NAME = 'lesson-companion-scriptures';
+const STORE = 'verses';
+const STATS_KEY = 'lc_scripture_library';
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+const PROGRESS_EVERY = 2000;
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Saving verses was cancelled'));
+  });
+}
+
+/**
+ * Split CSV text into rows of fields, honoring quoted fields with commas,
+ * doubled quotes and line breaks.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const names = header.map(h => h.trim().toLowerCase());
+  return rows.map(row => Object.fromEntries(names.map((name, i) => [name, row[i] ?? ''])));
+}
+
+/**
+ * Verse records from parsed JSON, flattening the nested book/chapter form.
+ */
+function jsonRecords(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.volumes)) return data.volumes.flatMap(jsonRecords);
+  if (Array.isArray(data?.books)) {
+    return data.books.flatMap(book => (book.chapters || []).flatMap(chapter =>
+      (chapter.verses || []).map(v => ({
+        book: book.book || book.title || book.name,
+        chapter: chapter.chapter ?? chapter.number,
+        ...v
+      }))
+    ));
+  }
+  if (Array.isArray(data?.sections)) {
+    return data.sections.flatMap(section =>
+      (section.verses || []).map(v => ({ book: 'Doctrine and Covenants', chapter: section.section ?? section.number, ...v }))
+    );
+  }
+  return [];
+}
+
+/**
+ * A stored verse from one record, or null when it names no single verse.
+ */
+function verseFrom(record) {
+  const text = String(record.scripture_text ?? record.text ?? '').trim();
+  if (!text) return null;
+
+  const book = record.book_title ?? record.book ?? record.book_name;
+  const chapter = record.chapter_number ?? record.chapter;
+  const verse = record.verse_number ?? record.verse;
+  const label = book && chapter && verse
+    ? `${book} ${chapter}:${verse}`
+    : record.verse_title ?? record.reference ?? '';
+
+  const reference = parseReference(String(label));
+  if (!reference || reference.verses.length !== 1 || reference.verses[0][0] !== reference.verses[0][1]) return null;
+  return { book: reference.book, chapter: reference.chapter, verse: reference.verses[0][0], text };
+}
+
+export class ScriptureLibrary {
+  constructor() {
+    this._db = null;
+  }
+
+  /**
+   * { count, books, importedAt } for the stored verses, or null when empty.
+   */
+  getStats() {
+    try {
+      return JSON.parse(localStorage.getItem(STATS_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  isEmpty() {
+    return !this.getStats()?.count;
+  }
+
+  async _open() {
+    if (this._db) return this._db;
+    if (typeof indexedDB === 'undefined') throw new Error('This browser cannot store a scripture library');
+
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: ['book', 'chapter', 'verse'] });
+    };
+    this._db = await requestResult(request);
+    return this._db;
+  }
+
+  /**
+   * Add the verses in a JSON or CSV file to the library. Imports merge, so
+   * volumes can come from separate files; a verse already stored is
+   * overwritten by the new text. clear() starts over.
+   * onProgress(count) is called as verses are read. Returns { added, skipped }.
+   */
+  async importFile(file, { onProgress } = {}) {
+    if (file.size > MAX_FILE_BYTES) throw new Error('That file is too large to import');
+
+    const text = await file.text();
+    let records;
+    if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+      try {
+        records = jsonRecords(JSON.parse(text));
+      } catch {
+        throw new Error('That JSON file could not be read');
+      }
+    } else {
+      records = csvRecords(text);
+    }
+
+    const verses = [];
+    let skipped = 0;
+    for (const record of records) {
+      const verse = verseFrom(record);
+      if (verse) {
+        verses.push(verse);
+      } else {
+        skipped++;
+      }
+      if ((verses.length + skipped) % PROGRESS_EVERY === 0) onProgress?.(verses.length);
+    }
+    if (verses.length === 0) throw new Error('No verses were found in that file');
+
+    const db = await this._open();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    verses.forEach(verse => store.put(verse));
+    await transactionDone(tx);
+
+    await this._updateStats();
+    onProgress?.(verses.length);
+    return { added: verses.length, skipped };
+  }
+
+  async _updateStats() {
+    const db = await this._open();
+    const store = db.transaction(STORE).objectStore(STORE);
+    const counted = requestResult(store.count());
+    // Unique books, found by skipping from each book's first verse to the next book
+    const booksCounted = new Promise((resolve, reject) => {
+      let total = 0;
+      const cursor = store.openKeyCursor();
+      cursor.onerror = () => reject(cursor.error);
+      cursor.onsuccess = () => {
+        const c = cursor.result;
+        if (!c) {
+          resolve(total);
+          return;
+        }
+        total++;
+        c.continue([`${c.key[0]}\0`]);
+      };
+    });
+    const [count, books] = await Promise.all([counted, booksCounted]);
+
+    if (count === 0) {
+      localStorage.removeItem(STATS_KEY);
+    } else {
+      localStorage.setItem(STATS_KEY, JSON.stringify({ count, books, importedAt: Date.now() }));
+    }
+  }
+
+  /**
+   * Verse text for a parsed reference: { reference, text, verses: [{ verse, text }] },
+   * or null unless every verse it names is stored. A chapter-only reference
+   * returns the whole chapter.
+   */
+  async lookup(reference) {
+    if (!reference || this.isEmpty()) return null;
+
+    const db = await this._open();
+    const store = db.transaction(STORE).objectStore(STORE);
+    const { book, chapter } = reference;
+    const ranges = reference.verses.length > 0 ? reference.verses : [[1, Infinity]];
+
+    const found = await Promise.all(ranges.map(([start, end]) =>
+      requestResult(store.getAll(IDBKeyRange.bound([book, chapter, start], [book, chapter, end])))
+    ));
+    const complete = reference.verses.length > 0
+      ? found.every((verses, i) => verses.length === ranges[i][1] - ranges[i][0] + 1)
+      : found[0].length > 0;
+    if (!complete) return null;
+
+    const verses = found.flat().map(({ verse, text }) => ({ verse, text }));
+    return {
+      reference: formatReference(reference),
+      text: verses.map(v => v.text).join(' '),
+      verses
+    };
+  }
+
+  async clear() {
+    const db = await this._open();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await transactionDone(tx);
+    localStorage.removeItem(STATS_KEY);
+  }
+}
@@ -0,0 +1,458 @@
+/**
+ * Scripture references.
+ * Knows the canonical books of the Bible, Book of Mormon, Doctrine and
+ * Covenants and Pearl of Great Price with their common abbreviations and
+ * chapter counts. Finds references in written text ("1 Ne. 3:7",
+ * "D&C 4:2–4, 6", "JS—H 1:17") and in speech transcripts ("first Nephi three
+ * seven", "Alma chapter thirty two verse twenty one"), and formats them the
+ * same way for display. A parsed reference is
+ * { book, chapter, verses } with verses a list of [start, end] ranges.
+ */
+
+// [name, chapters, abbreviations, extra]. In running text abbreviations
+// only count when capitalized, so "ex 2" or "dan 3" are not references.
+// extra.aliases are other full spellings, which also work in speech;
+// extra.common marks names that are everyday words, which only count in
+// written text when capitalized. A leading book number may also be
+// written "1st" or spoken "first".
+const VOLUMES = {
+  'Old Testament': [
+    ['Genesis', 50, ['Gen']],
+    ['Exodus', 40, ['Ex', 'Exod']],
+    ['Leviticus', 27, ['Lev']],
+    ['Numbers', 36, ['Num'], { common: true }],
+    ['Deuteronomy', 34, ['Deut']],
+    ['Joshua', 24, ['Josh']],
+    ['Judges', 21, ['Judg']],
+    ['Ruth', 4, []],
+    ['1 Samuel', 31, ['1 Sam']],
+    ['2 Samuel', 24, ['2 Sam']],
+    ['1 Kings', 22, ['1 Kgs']],
+    ['2 Kings', 25, ['2 Kgs']],
+    ['1 Chronicles', 29, ['1 Chr', '1 Chron']],
+    ['2 Chronicles', 36, ['2 Chr', '2 Chron']],
+    ['Ezra', 10, []],
+    ['Nehemiah', 13, ['Neh']],
+    ['Esther', 10, ['Esth']],
+    ['Job', 42, [], { common: true }],
+    ['Psalms', 150, ['Ps', 'Psa'], { aliases: ['Psalm'], display: 'Psalm' }],
+    ['Proverbs', 31, ['Prov']],
+    ['Ecclesiastes', 12, ['Eccl']],
+    ['Song of Solomon', 8, ['Song'], { aliases: ['Song of Songs'] }],
+    ['Isaiah', 66, ['Isa']],
+    ['Jeremiah', 52, ['Jer']],
+    ['Lamentations', 5, ['Lam']],
+    ['Ezekiel', 48, ['Ezek']],
+    ['Daniel', 12, ['Dan']],
+    ['Hosea', 14, []],
+    ['Joel', 3, []],
+    ['Amos', 9, []],
+    ['Obadiah', 1, ['Obad']],
+    ['Jonah', 4, []],
+    ['Micah', 7, []],
+    ['Nahum', 3, []],
+    ['Habakkuk', 3, ['Hab']],
+    ['Zephaniah', 3, ['Zeph']],
+    ['Haggai', 2, ['Hag']],
+    ['Zechariah', 14, ['Zech']],
+    ['Malachi', 4, ['Mal']]
+  ],
+  'New Testament': [
+    ['Matthew', 28, ['Matt', 'Mt']],
+    ['Mark', 16, ['Mk'], { common: true }],
+    ['Luke', 24, ['Lk']],
+    ['John', 21, ['Jn']],
+    ['Acts', 28, [], { common: true }],
+    ['Romans', 16, ['Rom']],
+    ['1 Corinthians', 16, ['1 Cor']],
+    ['2 Corinthians', 13, ['2 Cor']],
+    ['Galatians', 6, ['Gal']],
+    ['Ephesians', 6, ['Eph']],
+    ['Philippians', 4, ['Philip', 'Phil']],
+    ['Colossians', 4, ['Col']],
+    ['1 Thessalonians', 5, ['1 Thes', '1 Thess']],
+    ['2 Thessalonians', 3, ['2 Thes', '2 Thess']],
+    ['1 Timothy', 6, ['1 Tim']],
+    ['2 Timothy', 4, ['2 Tim']],
+    ['Titus', 3, []],
+    ['Philemon', 1, ['Philem']],
+    ['Hebrews', 13, ['Heb']],
+    ['James', 5, ['Jas']],
+    ['1 Peter', 5, ['1 Pet']],
+    ['2 Peter', 3, ['2 Pet']],
+    ['1 John', 5, ['1 Jn']],
+    ['2 John', 1, ['2 Jn']],
+    ['3 John', 1, ['3 Jn']],
+    ['Jude', 1, []],
+    ['Revelation', 22, ['Rev'], { aliases: ['Revelations'] }]
+  ],
+  'Book of Mormon': [
+    ['1 Nephi', 22, ['1 Ne', '1 Nep']],
+    ['2 Nephi', 33, ['2 Ne', '2 Nep']],
+    ['Jacob', 7, []],
+    ['Enos', 1, []],
+    ['Jarom', 1, []],
+    ['Omni', 1, []],
+    ['Words of Mormon', 1, ['W of M', 'WofM']],
+    ['Mosiah', 29, []],
+    ['Alma', 63, []],
+    ['Helaman', 16, ['Hel']],
+    ['3 Nephi', 30, ['3 Ne', '3 Nep']],
+    ['4 Nephi', 1, ['4 Ne', '4 Nep']],
+    ['Mormon', 9, ['Morm']],
+    ['Ether', 15, []],
+    ['Moroni', 10, ['Moro']]
+  ],
+  'Doctrine and Covenants': [
+    ['Doctrine and Covenants', 138, ['DC'], { aliases: ['D&C', 'D and C'], display: 'D&C' }]
+  ],
+  'Pearl of Great Price': [
+    ['Moses', 8, []],
+    ['Abraham', 5, ['Abr']],
+    ['Joseph Smith—Matthew', 1, ['JS—M', 'JSM']],
+    ['Joseph Smith—History', 1, ['JS—H', 'JSH']],
+    ['Articles of Faith', 1, ['A of F', 'AofF']]
+  ]
+};
+
+export const BOOKS = Object.entries(VOLUMES).flatMap(([volume, books]) =>
+  books.map(([name, chapters, abbreviations, extra = {}]) => ({
+    name,
+    display: extra.display || name,
+    volume,
+    chapters,
+    aliases: extra.aliases || [],
+    abbreviations,
+    common: Boolean(extra.common)
+  }))
+);
+
+// Book names for display in other session languages, in BOOKS order, as
+// the Church's editions of the scriptures give them. Languages not listed
+// show the English names.
+const BOOK_NAMES = {
+  es: [
+    'Génesis', 'Éxodo', 'Levítico', 'Números', 'Deuteronomio', 'Josué', 'Jueces', 'Rut', '1 Samuel', '2 Samuel',
+    '1 Reyes', '2 Reyes', '1 Crónicas', '2 Crónicas', 'Esdras', 'Nehemías', 'Ester', 'Job', 'Salmos', 'Proverbios',
+    'Eclesiastés', 'Cantares', 'Isaías', 'Jeremías', 'Lamentaciones', 'Ezequiel', 'Daniel', 'Oseas', 'Joel', 'Amós',
+    'Abdías', 'Jonás', 'Miqueas', 'Nahúm', 'Habacuc', 'Sofonías', 'Hageo', 'Zacarías', 'Malaquías',
+    'Mateo', 'Marcos', 'Lucas', 'Juan', 'Hechos', 'Romanos', '1 Corintios', '2 Corintios', 'Gálatas', 'Efesios',
+    'Filipenses', 'Colosenses', '1 Tesalonicenses', '2 Tesalonicenses', '1 Timoteo', '2 Timoteo', 'Tito', 'Filemón',
+    'Hebreos', 'Santiago', '1 Pedro', '2 Pedro', '1 Juan', '2 Juan', '3 Juan', 'Judas', 'Apocalipsis',
+    '1 Nefi', '2 Nefi', 'Jacob', 'Enós', 'Jarom', 'Omni', 'Palabras de Mormón', 'Mosíah', 'Alma', 'Helamán',
+    '3 Nefi', '4 Nefi', 'Mormón', 'Éter', 'Moroni',
+    'DyC',
+    'Moisés', 'Abraham', 'José Smith—Mateo', 'José Smith—Historia', 'Artículos de Fe'
+  ],
+  pt: [
+    'Gênesis', 'Êxodo', 'Levítico', 'Números', 'Deuteronômio', 'Josué', 'Juízes', 'Rute', '1 Samuel', '2 Samuel',
+    '1 Reis', '2 Reis', '1 Crônicas', '2 Crônicas', 'Esdras', 'Neemias', 'Ester', 'Jó', 'Salmos', 'Provérbios',
+    'Eclesiastes', 'Cantares', 'Isaías', 'Jeremias', 'Lamentações', 'Ezequiel', 'Daniel', 'Oseias', 'Joel', 'Amós',
+    'Obadias', 'Jonas', 'Miqueias', 'Naum', 'Habacuque', 'Sofonias', 'Ageu', 'Zacarias', 'Malaquias',
+    'Mateus', 'Marcos', 'Lucas', 'João', 'Atos', 'Romanos', '1 Coríntios', '2 Coríntios', 'Gálatas', 'Efésios',
+    'Filipenses', 'Colossenses', '1 Tessalonicenses', '2 Tessalonicenses', '1 Timóteo', '2 Timóteo', 'Tito', 'Filemom',
+    'Hebreus', 'Tiago', '1 Pedro', '2 Pedro', '1 João', '2 João', '3 João', 'Judas', 'Apocalipse',
+    '1 Néfi', '2 Néfi', 'Jacó', 'Enos', 'Jarom', 'Ômni', 'Palavras de Mórmon', 'Mosias', 'Alma', 'Helamã',
+    '3 Néfi', '4 Néfi', 'Mórmon', 'Éter', 'Morôni',
+    'D&C',
+    'Moisés', 'Abraão', 'Joseph Smith—Mateus', 'Joseph Smith—História', 'Regras de Fé'
+  ],
+  fr: [
+    'Genèse', 'Exode', 'Lévitique', 'Nombres', 'Deutéronome', 'Josué', 'Juges', 'Ruth', '1 Samuel', '2 Samuel',
+    '1 Rois', '2 Rois', '1 Chroniques', '2 Chroniques', 'Esdras', 'Néhémie', 'Esther', 'Job', 'Psaumes', 'Proverbes',
+    'Ecclésiaste', 'Cantique des cantiques', 'Ésaïe', 'Jérémie', 'Lamentations', 'Ézéchiel', 'Daniel', 'Osée', 'Joël', 'Amos',
+    'Abdias', 'Jonas', 'Michée', 'Nahum', 'Habakuk', 'Sophonie', 'Aggée', 'Zacharie', 'Malachie',
+    'Matthieu', 'Marc', 'Luc', 'Jean', 'Actes', 'Romains', '1 Corinthiens', '2 Corinthiens', 'Galates', 'Éphésiens',
+    'Philippiens', 'Colossiens', '1 Thessaloniciens', '2 Thessaloniciens', '1 Timothée', '2 Timothée', 'Tite', 'Philémon',
+    'Hébreux', 'Jacques', '1 Pierre', '2 Pierre', '1 Jean', '2 Jean', '3 Jean', 'Jude', 'Apocalypse',
+    '1 Néphi', '2 Néphi', 'Jacob', 'Énos', 'Jarom', 'Omni', 'Paroles de Mormon', 'Mosiah', 'Alma', 'Hélaman',
+    '3 Néphi', '4 Néphi', 'Mormon', 'Éther', 'Moroni',
+    'D&A',
+    'Moïse', 'Abraham', 'Joseph Smith, Matthieu', 'Joseph Smith, Histoire', 'Articles de foi'
+  ]
+};
+
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4 };
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for one spelling: any run of spaces is flexible, dashes may be
+ * any dash or a space, and a leading number may be written "1st".
+ */
+function namePattern(spelling) {
+  return escapeRegExp(spelling)
+    .replace(/^([1-4]) /, (_, n) => `${n}(?:st|nd|rd|th)?\\s*`)
+    .replace(/\s*—\s*/g, '(?:\\s*[—–-]\\s*|\\s+)')
+    .replace(/\s*&\s*/g, '\\s*&\\s*')
+    .replace(/ /g, '\\s+');
+}
+
+let bookLookup = null;
+let referencePattern = null;
+
+/**
+ * Built on first use: a map from each lowercased spelling to its book, and
+ * one pattern matching any spelling followed by a chapter and verses.
+ */
+function patterns() {
+  if (referencePattern) return { bookLookup, referencePattern };
+
+  bookLookup = new Map();
+  const spellings = [];
+  for (const book of BOOKS) {
+    for (const spelling of [book.name, ...book.aliases]) {
+      spellings.push(spelling);
+      bookLookup.set(spellingKey(spelling), { book, abbreviation: false });
+    }
+    for (const spelling of book.abbreviations) {
+      spellings.push(spelling);
+      bookLookup.set(spellingKey(spelling), { book, abbreviation: true });
+    }
+  }
+  // Longest first, so "1 John" wins over "John" and "Song of Solomon" over "Song"
+  const names = spellings.sort((a, b) => b.length - a.length).map(namePattern).join('|');
+  const verses = '\\d+(?:\\s*[-–—]\\s*\\d+)?(?:\\s*,\\s*\\d+(?:\\s*[-–—]\\s*\\d+)?)*';
+  referencePattern = new RegExp(
+    `(?<![\\w&])(${names})\\.?\\s*(\\d+)(?:\\s*:\\s*(${verses}))?(?!\\w)`,
+    'gi'
+  );
+  return { bookLookup, referencePattern };
+}
+
+function spellingKey(text) {
+  return text.toLowerCase()
+    .replace(/^([1-4])(?:st|nd|rd|th)?\s*/, '$1 ')
+    .replace(/\s*[—–-]\s*/g, ' ')
+    .replace(/\s*&\s*/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseVerses(text) {
+  if (!text) return [];
+  return text.split(',').map(part => {
+    const [start, end = start] = part.split(/[-–—]/).map(n => parseInt(n, 10));
+    return [start, Math.max(start, end)];
+  });
+}
+
+/**
+ * Build a reference from a regex match, or null when the chapter or verses
+ * can't exist in that book.
+ */
+function referenceFrom(match, { spoken, anyCase }) {
+  const [text, spelling, chapterText, versesText] = match;
+  const entry = patterns().bookLookup.get(spellingKey(spelling));
+  if (!entry) return null;
+  const { book, abbreviation } = entry;
+  const capitalized = /^(?:\d\w*\s*)?[A-Z]/.test(spelling);
+  if (!anyCase && !capitalized && (abbreviation || (book.common && !spoken))) return null;
+
+  let chapter = parseInt(chapterText, 10);
+  let verses = parseVerses(versesText);
+  // "Jude 3", "Enos 27": single-chapter books are usually cited by verse alone
+  if (book.chapters === 1 && !versesText && chapter > 1) {
+    verses = [[chapter, chapter]];
+    chapter = 1;
+  }
+  if (chapter < 1 || chapter > book.chapters) return null;
+  if (verses.some(([start]) => start < 1)) return null;
+
+  return { book: book.name, chapter, verses, index: match.index, text };
+}
+
+/**
+ * Every reference in a piece of written text, in order, each with the index
+ * and text of its match. "Mosiah 2:17; 4:9" gives two references.
+ * anyCase accepts lowercase abbreviations, for text that is meant to be a
+ * reference (a lookup or a scripture block) rather than prose.
+ */
+export function findReferences(text, { spoken = false, anyCase = false } = {}) {
+  const { referencePattern } = patterns();
+  const source = text || '';
+  const found = [];
+
+  for (const match of source.matchAll(referencePattern)) {
+    const reference = referenceFrom(match, { spoken, anyCase });
+    if (!reference) continue;
+    found.push(reference);
+
+    // Further chapters of the same book: "; 4:9"
+    const rest = source.slice(match.index + match[0].length);
+    const continued = /^(\s*;\s*)(\d+)\s*:\s*(\d+(?:\s*[-–—]\s*\d+)?(?:\s*,\s*\d+(?:\s*[-–—]\s*\d+)?)*)/.exec(rest);
+    if (continued) {
+      const chapter = parseInt(continued[2], 10);
+      const book = BOOKS.find(b => b.name === reference.book);
+      if (chapter >= 1 && chapter <= book.chapters) {
+        found.push({
+          book: reference.book,
+          chapter,
+          verses: parseVerses(continued[3]),
+          index: match.index + match[0].length + continued[1].length,
+          text: continued[0].slice(continued[1].length)
+        });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * The first reference in text that is meant to be one, in any case, or null.
+ */
+export function parseReference(text) {
+  return findReferences(text, { anyCase: true })[0] || null;
+}
+
+/**
+ * Display form: "1 Nephi 3:7", "D&C 4:2–4, 6", "Joseph Smith—History 1:17".
+ * With a language from BOOK_NAMES the book is named as that language's
+ * edition names it ("1 Nefi 3:7" in Spanish).
+ */
+export function formatReference(reference, language) {
+  const index = BOOKS.findIndex(b => b.name === reference.book);
+  const name = BOOK_NAMES[language]?.[index] || BOOKS[index]?.display || reference.book;
+  const verses = reference.verses
+    .map(([start, end]) => (start === end ? `${start}` : `${start}–${end}`))
+    .join(', ');
+  return `${name} ${reference.chapter}${verses ? `:${verses}` : ''}`;
+}
+
+/**
+ * Rewrite every reference in the text in display form, leaving the rest.
+ */
+export function formatReferences(text, options) {
+  let out = '';
+  let last = 0;
+  for (const reference of findReferences(text, options)) {
+    out += text.slice(last, reference.index) + formatReference(reference);
+    last = reference.index + reference.text.length;
+  }
+  return out + (text || '').slice(last);
+}
+
+/**
+ * True when two references share a book and chapter and, if both name
+ * verses, at least one verse.
+ */
+export function sameReference(a, b) {
+  if (a.book !== b.book || a.chapter !== b.chapter) return false;
+  if (a.verses.length === 0 || b.verses.length === 0) return true;
+  return a.verses.some(([aStart, aEnd]) => b.verses.some(([bStart, bEnd]) => aStart <= bEnd && bStart <= aEnd));
+}
+
+/**
+ * Read a spoken number starting at words[i]: "seven", "thirty two",
+ * "one hundred and twenty one". Returns [value, next index] or null.
+ */
+function readNumber(words, i) {
+  const start = i;
+  let value = 0;
+
+  if (words[i] === 'hundred' || (words[i] === 'a' && words[i + 1] === 'hundred')) {
+    value = 100;
+    i += words[i] === 'a' ? 2 : 1;
+  } else if (UNITS[words[i]] !== undefined && words[i + 1] === 'hundred') {
+    value = UNITS[words[i]] * 100;
+    i += 2;
+  }
+  if (value && words[i] === 'and' && (TENS[words[i + 1]] || UNITS[words[i + 1]])) i++;
+
+  if (TENS[words[i]]) {
+    value += TENS[words[i]];
+    i++;
+    if (UNITS[words[i]] > 0 && UNITS[words[i]] < 10) {
+      value += UNITS[words[i]];
+      i++;
+    }
+  } else if (UNITS[words[i]] !== undefined) {
+    value += UNITS[words[i]];
+    i++;
+  }
+
+  return i > start ? [value, i] : null;
+}
+
+// Spoken names of books with a hundred or more chapters, where a chapter
+// is often read like "one twenty one" for 121
+const LONG_BOOKS = BOOKS.filter(book => book.chapters >= 100)
+  .flatMap(book => [book.name, ...book.aliases].map(name => ({ name: name.toLowerCase(), chapters: book.chapters })));
+
+/**
+ * Read a chapter spoken hundreds-style at words[i]: "one twenty one" (121),
+ * "one nineteen" (119) or "one oh four" (104). Returns [value, next index]
+ * or null.
+ */
+function readHundreds(words, i) {
+  const hundreds = UNITS[words[i]];
+  if (!(hundreds > 0 && hundreds < 10)) return null;
+
+  if ((words[i + 1] === 'oh' || words[i + 1] === 'o') && UNITS[words[i + 2]] > 0 && UNITS[words[i + 2]] < 10) {
+    return [hundreds * 100 + UNITS[words[i + 2]], i + 3];
+  }
+  if (!TENS[words[i + 1]] && !(UNITS[words[i + 1]] >= 10)) return null;
+  const rest = readNumber(words, i + 1);
+  return rest ? [hundreds * 100 + rest[0], rest[1]] : null;
+}
+
+/**
+ * Turn a speech transcript into text findReferences can read: number words
+ * become digits, "first" before a book becomes 1, and "chapter", "section"
+ * and "verse" become the usual separators. Chapters and verses of D&C and
+ * Psalms may be read hundreds-style ("D and C one twenty one" is section 121).
+ */
+export function normalizeSpoken(text) {
+  const words = (text || '').toLowerCase()
+    .replace(/[^a-z0-9&:—–\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const out = [];
+
+  for (let i = 0; i < words.length;) {
+    // Right after a long book, "one twenty one" is chapter 121, not 1:21;
+    // the verse after such a chapter may be read the same way
+    const said = ` ${out.join(' ')}`;
+    const book = LONG_BOOKS.find(({ name }) => said.endsWith(` ${name}`));
+    const verse = !book && LONG_BOOKS.some(({ name }) => new RegExp(` ${escapeRegExp(name)} \\d+ ?:?$`).test(said));
+    let number = (book || verse) && readHundreds(words, i);
+    if (!number || (book && number[0] > book.chapters)) number = readNumber(words, i);
+    if (number) {
+      out.push(String(number[0]));
+      i = number[1];
+      continue;
+    }
+    const word = words[i];
+    if (ORDINALS[word]) {
+      out.push(String(ORDINALS[word]));
+    } else if (word === 'verse' || word === 'verses') {
+      out.push(':');
+    } else if ((word === 'through' || word === 'to') && /^\d+$/.test(out[out.length - 1] || '')) {
+      out.push('-');
+    } else if (word !== 'chapter' && word !== 'section') {
+      out.push(word);
+    }
+    i++;
+  }
+
+  // "nephi 3 7" -> "nephi 3:7"; a spoken chapter and verse have no colon
+  return out.join(' ')
+    .replace(/(\d+) (\d+)\b/g, '$1:$2')
+    .replace(/ ?: ?/g, ':')
+    .replace(/ - /g, '-');
+}
+
+/**
+ * References read out in a transcript, e.g. "first Nephi three seven".
+ */
+export function findSpokenReferences(transcript) {
+  return findReferences(normalizeSpoken(transcript), { spoken: true });
+}
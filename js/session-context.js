@@ -0,0 +1,60 @@
+/**
+ * Rolling context for a live session.
+ * Keeps a compact running summary of the transcript so far and turns it,
+ * together with the blocks covered and suggestions already shown, into a
+ * short block of prompt text so live AI calls know what came before.
+ */
+
+const MAX_SUGGESTIONS_LISTED = 8;
+const MIN_NEW_CHARS = 300;
+
+export class SessionContext {
+  constructor() {
+    this.refreshIntervalMs = 3 * 60 * 1000;
+    this.reset();
+  }
+
+  reset() {
+    this.summary = '';
+    this.summarizedLength = 0; // transcript length already folded into summary
+    this.refreshing = false;
+  }
+
+  /**
+   * Transcript text not yet folded into the summary, or '' if too little to bother.
+   */
+  pendingTranscript(transcript) {
+    const fresh = transcript.slice(this.summarizedLength).trim();
+    return fresh.length >= MIN_NEW_CHARS ? fresh : '';
+  }
+
+  update(summary, transcriptLength) {
+    this.summary = summary;
+    this.summarizedLength = transcriptLength;
+  }
+
+  /**
+   * Prompt text describing the session so far.
+   */
+  describe({ blocks = [], coveredIndexes = [], suggestions = [] } = {}) {
+    const lines = [];
+
+    lines.push(`Discussion so far: ${this.summary || 'Just getting started.'}`);
+
+    const covered = coveredIndexes
+      .filter(i => blocks[i])
+      .map(i => `- ${blocks[i].content}`);
+    if (covered.length) {
+      lines.push(`Outline blocks covered:\n${covered.join('\n')}`);
+    }
+
+    const shown = suggestions
+      .slice(-MAX_SUGGESTIONS_LISTED)
+      .map(s => `- ${s.suggestion}${s.reference ? ` (${s.reference})` : ''}`);
+    if (shown.length) {
+      lines.push(`Suggestions already given (do not repeat):\n${shown.join('\n')}`);
+    }
+
+    return lines.join('\n\n');
+  }
+}
@@ -2,24 +2,41 @@
  * Speech recognition wrapper.
  * Uses Web Speech API where available (Chrome), falls back to
  * MediaRecorder + Gemini audio transcription (iOS Safari, etc).
+ * The transcript is a list of segments { start, end, blockIndex, source,
+ * text, confidence }: start and end in seconds on the session clock,
+ * blockIndex the outline block active when it was said, source 'webspeech'
+ * or 'recorder', and confidence 0-1 or null when the recognizer gives none.
+ * getTranscript() joins their text. Interim text is kept apart until it is final.
  */
+
+// Segments below this recognition confidence are worth a second look
+export const LOW_CONFIDENCE = 0.6;
+
 export class Speech {
   constructor() {
     this.isListening = false;
-    this.transcript = '';
+    this.segments = [];
+    this.interim = '';
     this.pendingChunk = '';
     this.onTranscript = null;    // callback(fullTranscript)
+    this.onInterim = null;       // callback(interimText) - not yet final, may change
     this.onChunkReady = null;    // callback(chunk) - text chunk for Web Speech
-    this.onAudioChunkReady = null; // callback(base64audio) - audio chunk for fallback
+    this.onAudioChunkReady = null; // callback(base64audio, mimeType, span) - audio chunk for fallback; span is { start, end, blockIndex }
     this.onStatusChange = null;  // callback(isListening)
     this.onError = null;         // callback(error)
     this._silenceTimer = null;
     this._chunkInterval = null;
     this._chunkIntervalMs = 15000; // 15 seconds for faster feedback
     this._silenceTimeoutMs = 8000;
+    this.lang = 'en-US'; // BCP 47 tag for Web Speech recognition
+    this.clock = null;           // callback() -> seconds on the session timer; defaults to time since listening began
+    this.blockIndex = null;      // outline block being taught, stamped on new segments
+
+    this._startedAt = null;
 
     // Web Speech API state
     this._recognition = null;
+    this._resultStarts = {}; // result index -> { start, blockIndex } when its first interim text was heard
     this._restartAttempts = 0;
     this._maxRestarts = 10;
     this._intentionallyStopped = false;
@@ -28,6 +45,7 @@ export class Speech {
     this._mediaRecorder = null;
     this._audioStream = null;
     this._recordingChunks = [];
+    this._chunkStart = null; // { start, blockIndex } of the audio being recorded
 
     this._mode = this._detectMode();
   }
@@ -52,6 +70,7 @@ export class Speech {
 
   async start() {
     if (this.isListening) return true;
+    this._startedAt ??= Date.now();
 
     if (this._mode === 'webspeech') {
       return this._startWebSpeech();
@@ -76,12 +95,14 @@ export class Speech {
 
   reset() {
     this.stop();
-    this.transcript = '';
+    this.segments = [];
+    this.interim = '';
     this.pendingChunk = '';
+    this._startedAt = null;
   }
 
   getTranscript() {
-    return this.transcript.trim();
+    return this.segments.map(seg => seg.text).join(' ');
   }
 
   /**
@@ -107,11 +128,34 @@ export class Speech {
 
   /**
    * Append externally-produced transcript text (used by recorder fallback
-   * when the AI module returns transcribed text).
+   * when the AI module returns transcribed text). span is the audio chunk's
+   * { start, end, blockIndex } from onAudioChunkReady; without it the text
+   * is placed after the previous segment.
+   */
+  appendTranscript(text, span) {
+    const start = span?.start ?? this.segments[this.segments.length - 1]?.end ?? 0;
+    this._addSegment(text, {
+      start,
+      end: span?.end ?? this._now(),
+      blockIndex: span ? span.blockIndex : this.blockIndex,
+      source: 'recorder',
+      confidence: null
+    });
+    this.onTranscript?.(this.getTranscript());
+  }
+
+  /**
+   * Seconds on the session clock.
    */
-  appendTranscript(text) {
-    this.transcript += text + ' ';
-    this.onTranscript?.(this.transcript);
+  _now() {
+    if (this.clock) return this.clock();
+    return this._startedAt ? Math.floor((Date.now() - this._startedAt) / 1000) : 0;
+  }
+
+  _addSegment(text, { start, end, blockIndex, source, confidence }) {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    this.segments.push({ start, end: Math.max(start, end), blockIndex, source, text: trimmed, confidence });
   }
 
   // ---- Web Speech API path ----
@@ -121,22 +165,38 @@ export class Speech {
     this._recognition = new SpeechRecognition();
     this._recognition.continuous = true;
     this._recognition.interimResults = true;
-    this._recognition.lang = 'en-US';
+    this._recognition.lang = this.lang;
 
     this._recognition.onresult = (event) => {
       this._resetSilenceTimer();
       let finalText = '';
+      let interim = '';
 
       for (let i = event.resultIndex; i < event.results.length; i++) {
-        if (event.results[i].isFinal) {
-          finalText += event.results[i][0].transcript + ' ';
+        const result = event.results[i];
+        this._resultStarts[i] ??= { start: this._now(), blockIndex: this.blockIndex };
+        if (result.isFinal) {
+          this._addSegment(result[0].transcript, {
+            ...this._resultStarts[i],
+            end: this._now(),
+            source: 'webspeech',
+            // Some recognizers report 0 when they have no confidence score
+            confidence: result[0].confidence > 0 ? result[0].confidence : null
+          });
+          delete this._resultStarts[i];
+          finalText += result[0].transcript + ' ';
+        } else {
+          interim += result[0].transcript;
         }
       }
 
       if (finalText) {
-        this.transcript += finalText;
         this.pendingChunk += finalText;
-        this.onTranscript?.(this.transcript);
+        this.onTranscript?.(this.getTranscript());
+      }
+      if (finalText || interim !== this.interim) {
+        this.interim = interim;
+        this.onInterim?.(interim);
       }
     };
 
@@ -147,6 +207,12 @@ export class Speech {
     };
 
     this._recognition.onend = () => {
+      // A restarted recognizer numbers its results from zero again
+      this._resultStarts = {};
+      if (this.interim) {
+        this.interim = '';
+        this.onInterim?.('');
+      }
       if (!this._intentionallyStopped && this._restartAttempts < this._maxRestarts) {
         this._restartAttempts++;
         try { this._recognition.start(); } catch {
@@ -209,6 +275,10 @@ export class Speech {
 
   // ---- MediaRecorder fallback path (iOS Safari) ----
 
+  _markChunkStart() {
+    this._chunkStart = { start: this._now(), blockIndex: this.blockIndex };
+  }
+
   async _startRecorder() {
     try {
       this._audioStream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -233,6 +303,7 @@ export class Speech {
     // Every chunk interval, stop/restart to flush audio and send it
     this._mediaRecorder.onstop = async () => {
       if (this._recordingChunks.length === 0) return;
+      const span = { ...this._chunkStart, end: this._now() };
 
       const blob = new Blob(this._recordingChunks, { type: this._mediaRecorder.mimeType || 'audio/webm' });
       this._recordingChunks = [];
@@ -240,15 +311,19 @@ export class Speech {
       // Convert to base64
       const base64 = await this._blobToBase64(blob);
       const mimeUsed = blob.type || 'audio/webm';
-      this.onAudioChunkReady?.(base64, mimeUsed);
+      this.onAudioChunkReady?.(base64, mimeUsed, span);
 
       // Restart recording if still listening
       if (this.isListening && this._mediaRecorder.state === 'inactive') {
-        try { this._mediaRecorder.start(); } catch {}
+        try {
+          this._mediaRecorder.start();
+          this._markChunkStart();
+        } catch {}
       }
     };
 
     this._mediaRecorder.start();
+    this._markChunkStart();
     this.isListening = true;
     this.onStatusChange?.(true);
 
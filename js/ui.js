@@ -20,6 +20,18 @@ export function hide(el) {
   el?.classList.add('hidden');
 }
 
+/**
+ * Escape text for use in HTML markup and attribute values.
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Switch to a screen by id.
  */
@@ -56,6 +68,30 @@ export function formatTime(totalSeconds) {
   return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
 }
 
+/**
+ * Format a token count compactly (e.g. 950, 12.4k, 1.2M).
+ */
+export function formatTokens(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e4) return `${Math.round(count / 1e3)}k`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
+
+/**
+ * Format an estimated cost in USD.
+ */
+export function formatCost(usd) {
+  return usd < 0.01 ? '<$0.01' : `$${usd.toFixed(2)}`;
+}
+
+/**
+ * Mask a secret, showing only its last four characters.
+ */
+export function maskKey(key) {
+  return key.length > 8 ? `${'•'.repeat(8)}${key.slice(-4)}` : '•'.repeat(8);
+}
+
 /**
  * Render a past session item (lesson or talk) for the tab lists.
  */
@@ -0,0 +1,164 @@
+/**
+ * AI usage ledger.
+ * Records every provider request (method, model, token counts, latency),
+ * keeps daily totals for the daily/monthly views, and enforces an optional
+ * daily token cap that live mode uses to pause suggestions.
+ */
+
+const STORAGE_KEY = 'lc_usage';
+const CAP_KEY = 'lc_usage_cap';
+const MAX_ENTRIES = 2000;
+const MAX_DAYS = 400;
+
+// Approximate list prices in USD per million tokens: [prompt, response]
+const PRICES = {
+  'gemini-2.0-flash': [0.10, 0.40],
+  'gemini-2.0-flash-lite': [0.075, 0.30],
+  'gemini-1.5-flash': [0.075, 0.30],
+  'gemini-2.5-flash': [0.30, 2.50],
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00]
+};
+
+/**
+ * Estimated cost in USD, or null when the model's price is unknown.
+ */
+export function estimateCost(model, promptTokens, responseTokens) {
+  const price = PRICES[model];
+  if (!price) return null;
+  return (promptTokens * price[0] + responseTokens * price[1]) / 1e6;
+}
+
+function dayKey(time = Date.now()) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, responseTokens: 0, cost: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.requests++;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.responseTokens += entry.responseTokens || 0;
+  totals.cost += entry.cost || 0;
+  return totals;
+}
+
+export class UsageLedger {
+  constructor() {
+    this.session = null;  // id stamped on entries while a live session runs
+    this.onRecord = null; // callback(entry)
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+      return { entries: data.entries || [], days: data.days || {} };
+    } catch {
+      return { entries: [], days: {} };
+    }
+  }
+
+  _save(data) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  }
+
+  /**
+   * Add one request: { method, provider, model, promptTokens, responseTokens, latencyMs, ok }
+   */
+  record(entry) {
+    const full = {
+      at: Date.now(),
+      session: this.session,
+      ...entry,
+      cost: estimateCost(entry.model, entry.promptTokens || 0, entry.responseTokens || 0) || 0
+    };
+
+    const data = this._load();
+    data.entries.push(full);
+    if (data.entries.length > MAX_ENTRIES) data.entries = data.entries.slice(-MAX_ENTRIES);
+
+    const day = dayKey(full.at);
+    data.days[day] = addTo(data.days[day] || emptyTotals(), full);
+    const keys = Object.keys(data.days).sort();
+    keys.slice(0, Math.max(0, keys.length - MAX_DAYS)).forEach(k => delete data.days[k]);
+
+    this._save(data);
+    this.onRecord?.(full);
+  }
+
+  /**
+   * Totals for one live session, including the average latency.
+   */
+  sessionTotals(session) {
+    const entries = this._load().entries.filter(e => e.session && e.session === session);
+    const totals = entries.reduce(addTo, emptyTotals());
+    totals.latencyMs = entries.length
+      ? Math.round(entries.reduce((sum, e) => sum + (e.latencyMs || 0), 0) / entries.length)
+      : 0;
+    return totals;
+  }
+
+  /**
+   * Totals per day, newest first: [{ day, requests, promptTokens, responseTokens, cost }]
+   */
+  daily(count = 7) {
+    const { days } = this._load();
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      const day = dayKey(Date.now() - i * 86400000);
+      out.push({ day, ...(days[day] || emptyTotals()) });
+    }
+    return out;
+  }
+
+  /**
+   * Totals per month, newest first: [{ month, requests, promptTokens, responseTokens, cost }]
+   */
+  monthly(count = 6) {
+    const { days } = this._load();
+    const now = new Date();
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
+      const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+      const totals = emptyTotals();
+      for (const [day, t] of Object.entries(days)) {
+        if (!day.startsWith(month)) continue;
+        totals.requests += t.requests;
+        totals.promptTokens += t.promptTokens;
+        totals.responseTokens += t.responseTokens;
+        totals.cost += t.cost;
+      }
+      out.push({ month, ...totals });
+    }
+    return out;
+  }
+
+  todayTokens() {
+    const today = this._load().days[dayKey()];
+    return today ? today.promptTokens + today.responseTokens : 0;
+  }
+
+  /**
+   * Daily token cap, or 0 for none.
+   */
+  getDailyCap() {
+    return parseInt(localStorage.getItem(CAP_KEY)) || 0;
+  }
+
+  setDailyCap(tokens) {
+    localStorage.setItem(CAP_KEY, String(Math.max(0, tokens || 0)));
+  }
+
+  isOverCap() {
+    const cap = this.getDailyCap();
+    return cap > 0 && this.todayTokens() >= cap;
+  }
+
+  clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
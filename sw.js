@@ -1,10 +1,26 @@
-const CACHE_NAME = 'lesson-companion-v10';
+const CACHE_NAME = 'lesson-companion-v25';
 const ASSETS = [
   './',
   './index.html',
   './css/style.css',
   './js/app.js',
   './js/ai.js',
+  './js/partial-json.js',
+  './js/providers.js',
+  './js/schemas.js',
+  './js/scheduler.js',
+  './js/session-context.js',
+  './js/outline-diff.js',
+  './js/prompts.js',
+  './js/usage.js',
+  './js/mock-provider.js',
+  './js/response-cache.js',
+  './js/key-vault.js',
+  './js/sanitize.js',
+  './js/article.js',
+  './js/importer.js',
+  './js/scripture-refs.js',
+  './js/scripture-library.js',
   './js/speech.js',
   './js/ui.js',
   './manifest.json'
@@ -29,7 +45,8 @@ self.addEventListener('activate', event => {
 });
 
 self.addEventListener('fetch', event => {
-  if (event.request.url.includes('generativelanguage.googleapis.com')) {
+  // Only app assets are cached; AI requests and imported pages go to the network
+  if (event.request.method !== 'GET' || new URL(event.request.url).origin !== self.location.origin) {
     return;
   }
 
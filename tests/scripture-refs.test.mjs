@@ -0,0 +1,45 @@
+/**
+ * Tests for reading scripture references out of speech transcripts and
+ * displaying them in the session language.
+ * Run with: node --test tests/ (see README.md)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSpoken, findSpokenReferences, formatReference } from '../js/scripture-refs.js';
+
+function spoken(transcript) {
+  return findSpokenReferences(transcript).map(formatReference);
+}
+
+test('chapter and verse read as separate numbers', () => {
+  assert.deepEqual(spoken('turn to first Nephi three seven'), ['1 Nephi 3:7']);
+  assert.deepEqual(spoken('Alma chapter thirty two verse twenty one'), ['Alma 32:21']);
+  assert.deepEqual(spoken('Moroni seven forty seven'), ['Moroni 7:47']);
+  assert.deepEqual(spoken('John three sixteen'), ['John 3:16']);
+});
+
+test('hundreds-style chapters of long books', () => {
+  assert.equal(normalizeSpoken('D and C one twenty one'), 'd and c 121');
+  assert.deepEqual(spoken('D and C one twenty one'), ['D&C 121']);
+  assert.deepEqual(spoken('D and C section one twenty one verse seven'), ['D&C 121:7']);
+  assert.deepEqual(spoken('Doctrine and Covenants one thirty eight eleven'), ['D&C 138:11']);
+  assert.deepEqual(spoken('Psalm one nineteen one oh five'), ['Psalm 119:105']);
+  assert.deepEqual(spoken('Psalm one oh three'), ['Psalm 103']);
+  assert.deepEqual(spoken('D and C eighty eight one eighteen'), ['D&C 88:118']);
+});
+
+test('hundreds-style reading falls back past the last chapter', () => {
+  assert.equal(normalizeSpoken('D and C one forty'), 'd and c 1:40');
+  assert.deepEqual(spoken('D and C four two'), ['D&C 4:2']);
+  assert.deepEqual(spoken('D and C one hundred and twenty one'), ['D&C 121']);
+});
+
+test('references display with the session language\'s book names', () => {
+  const reference = findSpokenReferences('first Nephi three seven')[0];
+  assert.equal(formatReference(reference, 'es'), '1 Nefi 3:7');
+  assert.equal(formatReference(reference, 'fr'), '1 Néphi 3:7');
+  assert.equal(formatReference({ book: 'Doctrine and Covenants', chapter: 121, verses: [[7, 8]] }, 'pt'), 'D&C 121:7–8');
+  // Languages without their own names fall back to English
+  assert.equal(formatReference(reference, 'to'), '1 Nephi 3:7');
+});